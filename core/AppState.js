@@ -6,6 +6,12 @@
 import { EventBus } from './EventBus.js';
 import { ToolManager } from './ToolManager.js';
 import { StyleManager } from './StyleManager.js';
+import { LayerManager } from './LayerManager.js';
+import {
+  CommandHistory,
+  replaceListsCommand,
+  removeItemsCommand
+} from './CommandHistory.js';
 
 export class AppState {
   constructor() {
@@ -13,12 +19,23 @@ export class AppState {
     this.eventBus = new EventBus();
     this.toolManager = new ToolManager(this.eventBus);
     this.styleManager = new StyleManager();
+    this.history = new CommandHistory(this.eventBus);
+    this.layers = new LayerManager(this.eventBus);
 
     // Current mode
     this.currentMode = 'explore';
 
+    // Selected items (references into tool item arrays)
+    this.selection = [];
+
     // Map reference (set later by main.js)
     this.map = null;
+
+    // Drop selected items that no longer exist (undo, delete, clear)
+    this.eventBus.on('history:changed', () => this.pruneSelection());
+
+    // Hidden layers cannot hold a selection
+    this.eventBus.on('layers:changed', () => this.pruneSelection());
   }
 
   /**
@@ -77,32 +94,164 @@ export class AppState {
 
   /**
    * Clear all data from all tools
+   * Recorded in history so it can be undone
    */
   clearAll() {
-    const tools = this.toolManager.getAllTools();
+    const states = this.getDataLists().map(list => ({
+      list,
+      before: [...list],
+      after: []
+    }));
 
-    for (const tool of tools) {
-      if (tool?.items) {
-        tool.items.length = 0;
-      }
-      if (tool?.points) {
-        tool.points.length = 0;
-      }
-      if (tool?.lines) {
-        tool.lines.length = 0;
-      }
-      if (tool?.polygons) {
-        tool.polygons.length = 0;
+    for (const { list } of states) {
+      list.length = 0;
+    }
+
+    this.history.record(replaceListsCommand(states, 'Clear all'));
+    this.eventBus.emit('data:cleared');
+  }
+
+  /**
+   * Get the distinct item arrays of all tools
+   * Tools alias `items` as `points`, `lines`, etc., so duplicates are skipped
+   * @returns {Array<Array>}
+   */
+  getDataLists() {
+    const lists = new Set();
+    const keys = ['items', 'points', 'lines', 'polygons', 'sectors', 'texts'];
+
+    for (const tool of this.toolManager.getAllTools()) {
+      for (const key of keys) {
+        if (Array.isArray(tool?.[key])) {
+          lists.add(tool[key]);
+        }
       }
-      if (tool?.sectors) {
-        tool.sectors.length = 0;
+    }
+
+    return Array.from(lists);
+  }
+
+  // ==========================================================================
+  // SELECTION
+  // ==========================================================================
+
+  /**
+   * Replace or extend the selection
+   * @param {Array<Object>} items - Items to select
+   * @param {boolean} additive - Add to the current selection instead of replacing it
+   */
+  select(items, additive = false) {
+    const next = additive ? [...this.selection] : [];
+
+    for (const item of items) {
+      if (item && !next.includes(item) && this.layers.isVisible(item)) {
+        next.push(item);
       }
-      if (tool?.texts) {
-        tool.texts.length = 0;
+    }
+
+    this.setSelection(next);
+  }
+
+  /**
+   * Add an item to the selection, or remove it if already selected
+   * @param {Object} item - Item to toggle
+   */
+  toggleSelected(item) {
+    if (this.isSelected(item)) {
+      this.setSelection(this.selection.filter(i => i !== item));
+    } else {
+      this.setSelection([...this.selection, item]);
+    }
+  }
+
+  /**
+   * Clear the selection
+   */
+  clearSelection() {
+    if (this.selection.length === 0) return;
+    this.setSelection([]);
+  }
+
+  /**
+   * Check if an item is selected
+   * @param {Object} item
+   * @returns {boolean}
+   */
+  isSelected(item) {
+    return this.selection.includes(item);
+  }
+
+  /**
+   * Get a copy of the selected items
+   * @returns {Array<Object>}
+   */
+  getSelection() {
+    return [...this.selection];
+  }
+
+  /**
+   * Remove all selected items from their tools
+   * Items on locked layers are kept. Recorded in history so it can be undone
+   * @returns {number} Number of items removed
+   */
+  deleteSelection() {
+    const entries = [];
+
+    for (const item of this.selection) {
+      if (this.layers.isLocked(item)) continue;
+
+      const list = this.findList(item);
+      if (list) {
+        entries.push({ list, item, index: list.indexOf(item) });
       }
     }
 
-    this.eventBus.emit('data:cleared');
+    if (entries.length === 0) return 0;
+
+    const command = removeItemsCommand(entries);
+    command.redo();
+
+    this.history.record(command);
+
+    return entries.length;
+  }
+
+  /**
+   * Find the tool array that holds an item
+   * @param {Object} item
+   * @returns {Array|null}
+   */
+  findList(item) {
+    return this.getDataLists().find(list => list.includes(item)) || null;
+  }
+
+  /**
+   * Set the selection and notify listeners
+   * @private
+   */
+  setSelection(items) {
+    this.selection = items;
+    this.eventBus.emit('selection:changed', {
+      items: this.getSelection(),
+      count: items.length
+    });
+  }
+
+  /**
+   * Remove items that are no longer in any tool, or are hidden, from the selection
+   * @private
+   */
+  pruneSelection() {
+    if (this.selection.length === 0) return;
+
+    const lists = this.getDataLists();
+    const alive = this.selection.filter(item =>
+      lists.some(list => list.includes(item)) && this.layers.isVisible(item)
+    );
+
+    if (alive.length !== this.selection.length) {
+      this.setSelection(alive);
+    }
   }
 
   /**
@@ -0,0 +1,220 @@
+// ============================================================================
+// core/CommandHistory.js
+// Undo/redo stack for editing actions
+// ============================================================================
+
+export class CommandHistory {
+  constructor(eventBus = null, limit = 100) {
+    this.eventBus = eventBus;
+
+    // Maximum number of commands kept on the undo stack
+    this.limit = limit;
+
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Run a command and push it onto the undo stack
+   * @param {Object} command - { label, undo(), redo() }
+   */
+  execute(command) {
+    command.redo();
+    this.record(command);
+  }
+
+  /**
+   * Push an already-applied command onto the undo stack
+   * Clears the redo stack, since history has diverged
+   * @param {Object} command - { label, undo(), redo() }
+   */
+  record(command) {
+    if (!command) return;
+
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+
+    this.redoStack.length = 0;
+    this.emitChange();
+  }
+
+  /**
+   * Undo the most recent command
+   * @returns {boolean} True if something was undone
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+
+    command.undo();
+    this.redoStack.push(command);
+    this.emitChange();
+    return true;
+  }
+
+  /**
+   * Redo the most recently undone command
+   * @returns {boolean} True if something was redone
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+
+    command.redo();
+    this.undoStack.push(command);
+    this.emitChange();
+    return true;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Drop all recorded commands
+   */
+  clear() {
+    this.undoStack.length = 0;
+    this.redoStack.length = 0;
+    this.emitChange();
+  }
+
+  /**
+   * Notify listeners that the stacks changed
+   * @private
+   */
+  emitChange() {
+    this.eventBus?.emit('history:changed', {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: this.undoStack[this.undoStack.length - 1]?.label ?? null,
+      redoLabel: this.redoStack[this.redoStack.length - 1]?.label ?? null
+    });
+  }
+}
+
+/* ===================== COMMAND FACTORIES ===================== */
+
+/**
+ * Capture a deep copy of an item's plain data
+ * @param {Object} item
+ * @returns {Object}
+ */
+export function snapshotItem(item) {
+  return JSON.parse(JSON.stringify(item));
+}
+
+/**
+ * Command for items that were inserted into tool lists
+ * @param {Array<{list: Array, item: Object}>} entries - Lists and inserted items
+ * @param {string} label - Human-readable description
+ * @returns {Object} Command
+ */
+export function addItemsCommand(entries, label = 'Add') {
+  const placed = entries.map(({ list, item }) => ({
+    list,
+    item,
+    index: list.indexOf(item)
+  }));
+
+  return {
+    label,
+    undo() {
+      for (const { list, item } of placed) {
+        const i = list.indexOf(item);
+        if (i > -1) list.splice(i, 1);
+      }
+    },
+    redo() {
+      for (const { list, item, index } of placed) {
+        if (list.includes(item)) continue;
+        list.splice(Math.min(index, list.length), 0, item);
+      }
+    }
+  };
+}
+
+/**
+ * Command for items that were removed from tool lists
+ * Entries must describe the positions the items had before removal
+ * @param {Array<{list: Array, item: Object, index: number}>} entries
+ * @param {string} label - Human-readable description
+ * @returns {Object} Command
+ */
+export function removeItemsCommand(entries, label = 'Delete') {
+  // Re-insert in ascending index order so positions are restored exactly
+  const ordered = [...entries].sort((a, b) => a.index - b.index);
+
+  return {
+    label,
+    undo() {
+      for (const { list, item, index } of ordered) {
+        if (list.includes(item)) continue;
+        list.splice(Math.min(index, list.length), 0, item);
+      }
+    },
+    redo() {
+      for (const { list, item } of ordered) {
+        const i = list.indexOf(item);
+        if (i > -1) list.splice(i, 1);
+      }
+    }
+  };
+}
+
+/**
+ * Command for in-place edits of item geometry or properties
+ * `before` and `after` are snapshots of the changed fields
+ * @param {Array<{item: Object, before: Object, after: Object}>} changes
+ * @param {string} label - Human-readable description
+ * @returns {Object} Command
+ */
+export function changeItemsCommand(changes, label = 'Edit') {
+  return {
+    label,
+    undo() {
+      for (const { item, before } of changes) {
+        Object.assign(item, snapshotItem(before));
+      }
+    },
+    redo() {
+      for (const { item, after } of changes) {
+        Object.assign(item, snapshotItem(after));
+      }
+    }
+  };
+}
+
+/**
+ * Command that replaces the contents of several lists at once
+ * Used for bulk operations such as clearing all data
+ * @param {Array<{list: Array, before: Array, after: Array}>} states
+ * @param {string} label - Human-readable description
+ * @returns {Object} Command
+ */
+export function replaceListsCommand(states, label = 'Replace') {
+  const fill = (list, items) => list.splice(0, list.length, ...items);
+
+  return {
+    label,
+    undo() {
+      for (const { list, before } of states) fill(list, before);
+    },
+    redo() {
+      for (const { list, after } of states) fill(list, after);
+    }
+  };
+}
+
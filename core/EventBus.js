@@ -179,9 +179,37 @@ export class EventBus {
  * 'map:layer:changed'  - Fired when base map layer changes
  *   data: { layer: string }
  *
- * 'import:complete'    - Fired when GeoJSON import completes
- *   data: { featureCount: number }
+ * 'import:complete'    - Fired when a file import completes or fails
+ *   data: { filename: string, featureCount: number, report: ImportReport }
  *
  * 'export:complete'    - Fired when GeoJSON export completes
  *   data: { filename: string }
+ *
+ * 'history:changed'    - Fired when the undo/redo stacks change
+ *   data: { canUndo: boolean, canRedo: boolean,
+ *           undoLabel: string|null, redoLabel: string|null }
+ *
+ * 'selection:changed'  - Fired when the set of selected items changes
+ *   data: { items: Array<Object>, count: number }
+ *
+ * 'session:restored'   - Fired after a saved session or snapshot is applied
+ *   data: { savedAt: string }
+ *
+ * 'layers:changed'     - Fired when layers are added, removed, reordered or toggled
+ *   data: { layers: Array<Object>, activeId: string }
+ *
+ * 'coordinates:format:changed' - Fired when the coordinate display format changes
+ *   data: { format: string }
+ *
+ * 'coordinates:copied' - Fired when a position is copied to the clipboard, or the copy fails
+ *   data: { text: string|null, error: Error|null }
+ *
+ * 'units:changed'      - Fired when the unit system or area unit changes
+ *   data: { system: string, areaUnit: string }
+ *
+ * 'elevation:source:changed' - Fired when DEM tiles are loaded or the elevation source changes
+ *   data: { source: string, tiles: number }
+ *
+ * 'lineofsight:changed' - Fired when the line-of-sight tool's points or analysis change
+ *   data: { observer: Object|null, target: Object|null, result: Object|null, loading: boolean }
  */
\ No newline at end of file
@@ -0,0 +1,270 @@
+// ============================================================================
+// core/LayerManager.js
+// User-defined layers: membership, visibility, lock and draw order
+// ============================================================================
+
+export class LayerManager {
+  constructor(eventBus = null) {
+    this.eventBus = eventBus;
+
+    // Ordered bottom to top: { id, name, visible, locked }
+    this.layers = [];
+    this.activeId = null;
+    this._nextId = 1;
+
+    this.reset();
+  }
+
+  // ==========================================================================
+  // LAYER LIST
+  // ==========================================================================
+
+  /**
+   * Replace all layers with a single default layer
+   */
+  reset() {
+    this.layers = [];
+    this._nextId = 1;
+    this.activeId = this.add('Default').id;
+  }
+
+  /**
+   * Add a layer on top of the others
+   * @param {string} name - Layer name, made unique if taken
+   * @returns {Object} The new layer
+   */
+  add(name) {
+    const layer = {
+      id: `layer-${this._nextId++}`,
+      name: this.uniqueName(name),
+      visible: true,
+      locked: false
+    };
+
+    this.layers.push(layer);
+    this.emitChange();
+    return layer;
+  }
+
+  /**
+   * Remove a layer; the last remaining layer cannot be removed
+   * Items referencing it fall back to the bottom layer
+   * @param {string} id
+   * @returns {boolean} Success
+   */
+  remove(id) {
+    if (this.layers.length <= 1) return false;
+
+    const index = this.layers.findIndex(l => l.id === id);
+    if (index === -1) return false;
+
+    this.layers.splice(index, 1);
+
+    if (this.activeId === id) {
+      this.activeId = this.layers[Math.max(0, index - 1)].id;
+    }
+
+    this.emitChange();
+    return true;
+  }
+
+  /**
+   * Rename a layer
+   * @param {string} id
+   * @param {string} name - New name, made unique if taken
+   */
+  rename(id, name) {
+    const layer = this.get(id);
+    if (!layer || !name || name === layer.name) return;
+
+    layer.name = this.uniqueName(name);
+    this.emitChange();
+  }
+
+  /**
+   * Move a layer up (+1) or down (-1) in draw order
+   * @param {string} id
+   * @param {number} delta
+   */
+  move(id, delta) {
+    const index = this.layers.findIndex(l => l.id === id);
+    const target = index + delta;
+    if (index === -1 || target < 0 || target >= this.layers.length) return;
+
+    const [layer] = this.layers.splice(index, 1);
+    this.layers.splice(target, 0, layer);
+    this.emitChange();
+  }
+
+  /**
+   * @param {string} id
+   * @param {boolean} visible
+   */
+  setVisible(id, visible) {
+    const layer = this.get(id);
+    if (!layer) return;
+
+    layer.visible = visible;
+    this.emitChange();
+  }
+
+  /**
+   * @param {string} id
+   * @param {boolean} locked
+   */
+  setLocked(id, locked) {
+    const layer = this.get(id);
+    if (!layer) return;
+
+    layer.locked = locked;
+    this.emitChange();
+  }
+
+  /**
+   * Set the layer that receives newly drawn items
+   * @param {string} id
+   */
+  setActive(id) {
+    if (!this.get(id)) return;
+
+    this.activeId = id;
+    this.emitChange();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.layers.find(l => l.id === id) || null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  getByName(name) {
+    return this.layers.find(l => l.name === name) || null;
+  }
+
+  /**
+   * Get the id of a layer by name, creating the layer if missing
+   * An empty name resolves to the active layer
+   * @param {string} name
+   * @returns {string} Layer id
+   */
+  resolve(name) {
+    if (!name) return this.activeId;
+    return (this.getByName(name) || this.add(name)).id;
+  }
+
+  /**
+   * Layers from bottom to top
+   * @returns {Array<Object>}
+   */
+  getDrawOrder() {
+    return [...this.layers];
+  }
+
+  // ==========================================================================
+  // ITEM MEMBERSHIP
+  // ==========================================================================
+
+  /**
+   * Get the layer an item belongs to
+   * Items without a known layer belong to the bottom layer
+   * @param {Object} item
+   * @returns {Object}
+   */
+  layerOf(item) {
+    return this.get(item?.layer) || this.layers[0];
+  }
+
+  /**
+   * @param {Object} item
+   * @returns {boolean}
+   */
+  isVisible(item) {
+    return this.layerOf(item).visible;
+  }
+
+  /**
+   * @param {Object} item
+   * @returns {boolean}
+   */
+  isLocked(item) {
+    return this.layerOf(item).locked;
+  }
+
+  /**
+   * Check if an item can be moved, edited or deleted
+   * @param {Object} item
+   * @returns {boolean}
+   */
+  isEditable(item) {
+    const layer = this.layerOf(item);
+    return layer.visible && !layer.locked;
+  }
+
+  // ==========================================================================
+  // SERIALIZATION
+  // ==========================================================================
+
+  /**
+   * @returns {Object} { layers, activeId }
+   */
+  export() {
+    return {
+      layers: this.layers.map(l => ({ ...l })),
+      activeId: this.activeId
+    };
+  }
+
+  /**
+   * Restore layers saved with export()
+   * @param {Object} data - { layers, activeId }
+   */
+  import(data) {
+    if (!Array.isArray(data?.layers) || data.layers.length === 0) {
+      this.reset();
+      return;
+    }
+
+    this.layers = data.layers.map(l => ({
+      id: String(l.id),
+      name: String(l.name),
+      visible: l.visible !== false,
+      locked: !!l.locked
+    }));
+
+    // Continue numbering after the highest restored id
+    const ids = this.layers.map(l => parseInt(l.id.replace('layer-', ''), 10) || 0);
+    this._nextId = Math.max(...ids) + 1;
+
+    this.activeId = this.get(data.activeId) ? data.activeId : this.layers[0].id;
+    this.emitChange();
+  }
+
+  /**
+   * Append a number to a name already in use
+   * @private
+   */
+  uniqueName(name) {
+    let candidate = name;
+    for (let n = 2; this.getByName(candidate); n++) {
+      candidate = `${name} (${n})`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Notify listeners that layers changed
+   * @private
+   */
+  emitChange() {
+    this.eventBus?.emit('layers:changed', {
+      layers: this.getDrawOrder(),
+      activeId: this.activeId
+    });
+  }
+}
@@ -8,6 +8,9 @@ export class MapView {
     // Initialize Leaflet map
     this.map = L.map('map').setView([50, 14], 13);
 
+    // Shift+drag is used for box selection instead of box zoom
+    this.map.boxZoom.disable();
+
     // Define available base layers
     this.baseLayers = {
       'OSM': L.tileLayer(
@@ -50,6 +53,11 @@ export class MapView {
 
     // Track active layer
     this._activeBase = null;
+
+    // Temporary "you are here" marker and its removal timer
+    this._marker = null;
+    this._markerTimer = null;
+
     this.setBaseLayer('OSM'); // Set default
   }
 
@@ -115,10 +123,10 @@ export class MapView {
 
   /**
    * Register click handler
-   * @param {Function} callback - Called with { lat, lng }
+   * @param {Function} callback - Called with { lat, lng } and the DOM event
    */
   onClick(callback) {
-    this.map.on('click', e => callback(e.latlng));
+    this.map.on('click', e => callback(e.latlng, e.originalEvent));
   }
 
   /**
@@ -131,10 +139,10 @@ export class MapView {
 
   /**
    * Register mouse down handler
-   * @param {Function} callback - Called with { lat, lng }
+   * @param {Function} callback - Called with { lat, lng } and the DOM event
    */
   onMouseDown(callback) {
-    this.map.on('mousedown', e => callback(e.latlng));
+    this.map.on('mousedown', e => callback(e.latlng, e.originalEvent));
   }
 
   /**
@@ -147,10 +155,10 @@ export class MapView {
 
   /**
    * Register mouse move handler
-   * @param {Function} callback - Called with { lat, lng }
+   * @param {Function} callback - Called with { lat, lng } and the DOM event
    */
   onMouseMove(callback) {
-    this.map.on('mousemove', e => callback(e.latlng));
+    this.map.on('mousemove', e => callback(e.latlng, e.originalEvent));
   }
 
   /**
@@ -223,12 +231,59 @@ export class MapView {
   /**
    * Fit map to bounds
    * @param {Array<Object>} points - Array of { lat, lng }
+   * @param {Object} options - Extra Leaflet fitBounds options (e.g. maxZoom)
    */
-  fitBounds(points) {
+  fitBounds(points, options = {}) {
     if (!points || points.length === 0) return;
 
     const bounds = L.latLngBounds(points.map(p => [p.lat, p.lng]));
-    this.map.fitBounds(bounds, { padding: [50, 50] });
+    this.map.fitBounds(bounds, { padding: [50, 50], ...options });
+  }
+
+  /**
+   * Show a marker that disappears after a while
+   * Replaces any marker still showing
+   * @param {Object} latlng - { lat, lng }
+   * @param {number} duration - Milliseconds before removal
+   */
+  flashMarker(latlng, duration = 5000) {
+    this.clearMarker();
+
+    this._marker = L.circleMarker([latlng.lat, latlng.lng], {
+      radius: 10,
+      color: '#e91e63',
+      weight: 3,
+      fillOpacity: 0.2,
+      interactive: false
+    }).addTo(this.map);
+
+    this._markerTimer = setTimeout(() => this.clearMarker(), duration);
+  }
+
+  /**
+   * Remove the temporary marker
+   */
+  clearMarker() {
+    clearTimeout(this._markerTimer);
+    this._markerTimer = null;
+
+    if (this._marker) {
+      this.map.removeLayer(this._marker);
+      this._marker = null;
+    }
+  }
+
+  /**
+   * Enable or disable map panning by mouse drag
+   * Disabled while a tool drags an item or handle
+   * @param {boolean} enabled
+   */
+  setDraggingEnabled(enabled) {
+    if (enabled) {
+      this.map.dragging.enable();
+    } else {
+      this.map.dragging.disable();
+    }
   }
 
   /**
@@ -15,15 +15,53 @@ const DICT = {
     points: 'Points',
     line: 'Line',
     polygon: 'Polygon',
+    hole: 'Hole',
+    lineOfSight: 'Line of sight',
+    viewshed: 'Viewshed',
+    observerHeight: 'Observer, m',
+    targetHeight: 'Target, m',
     text: 'Text',
     move: 'Move',
+    edit: 'Edit',
     delete: 'Delete',
     settings: 'Settings',
     language: 'Language',
     meters: 'meters',
     kilometers: 'kilometers',
     upload: 'Upload',
-    download: 'Download'
+    download: 'Download',
+    undo: 'Undo',
+    redo: 'Redo',
+    project: 'Project…',
+    newProject: 'New',
+    saveProject: 'Save',
+    renameProject: 'Rename',
+    duplicateProject: 'Duplicate',
+    deleteProject: 'Delete',
+    layers: 'Layers',
+    name: 'Name',
+    description: 'Description',
+    attributes: 'Attributes',
+    mergeGroups: 'Merge groups',
+    snap: 'Snap',
+    snapAll: 'Vertices and edges',
+    snapVertices: 'Vertices only',
+    snapEdges: 'Edges only',
+    enterCoordinates: 'Enter coordinates',
+    radius: 'Radius, m',
+    bearing: 'Bearing, °',
+    addVertex: 'Add',
+    finishShape: 'Finish',
+    metric: 'Metric',
+    imperial: 'Imperial',
+    nautical: 'Nautical',
+    hectares: 'Hectares',
+    acres: 'Acres',
+    elevationProfile: 'Elevation profile',
+    elevationAuto: 'Elevation: DEM, then online',
+    elevationDem: 'Elevation: DEM only',
+    elevationOnline: 'Elevation: online only',
+    importReport: 'Import report'
   },
 
   uk: {
@@ -36,14 +74,52 @@ const DICT = {
     line: 'Лінія',
     text: 'Текст',
     move: 'Перемістити',
+    edit: 'Редагувати',
     delete: 'Видалити',
     polygon: 'Полігон',
+    hole: 'Отвір',
+    lineOfSight: 'Лінія видимості',
+    viewshed: 'Зона видимості',
+    observerHeight: 'Спостерігач, м',
+    targetHeight: 'Ціль, м',
     settings: 'Налаштування',
     language: 'Мова',
     meters: 'метри',
     kilometers: 'кілометри',
     upload: 'Завантажити',
-    download: 'Скачати'
+    download: 'Скачати',
+    undo: 'Скасувати',
+    redo: 'Повторити',
+    project: 'Проєкт…',
+    newProject: 'Новий',
+    saveProject: 'Зберегти',
+    renameProject: 'Перейменувати',
+    duplicateProject: 'Дублювати',
+    deleteProject: 'Видалити',
+    layers: 'Шари',
+    name: 'Назва',
+    description: 'Опис',
+    attributes: 'Атрибути',
+    mergeGroups: 'Об’єднати групи',
+    snap: 'Прилипання',
+    snapAll: 'Вершини та ребра',
+    snapVertices: 'Лише вершини',
+    snapEdges: 'Лише ребра',
+    enterCoordinates: 'Введення координат',
+    radius: 'Радіус, м',
+    bearing: 'Азимут, °',
+    addVertex: 'Додати',
+    finishShape: 'Завершити',
+    metric: 'Метрична',
+    imperial: 'Імперська',
+    nautical: 'Морська',
+    hectares: 'Гектари',
+    acres: 'Акри',
+    elevationProfile: 'Профіль висот',
+    elevationAuto: 'Висоти: DEM, потім онлайн',
+    elevationDem: 'Висоти: лише DEM',
+    elevationOnline: 'Висоти: лише онлайн',
+    importReport: 'Звіт про імпорт'
   }
 };
 
@@ -0,0 +1,265 @@
+// ============================================================================
+// io/AutoSave.js
+// Continuous session autosave and restore via IndexedDB
+// ============================================================================
+
+import * as idb from './idb.js';
+
+// Key of the single autosave slot in the 'session' store
+const AUTOSAVE_KEY = 'autosave';
+
+export class AutoSave {
+  constructor(appState, ioManager, options = {}) {
+    this.appState = appState;
+    this.ioManager = ioManager;
+
+    // Wait this long after the last change before saving
+    this.delay = options.delay ?? 1000;
+
+    // Keep a snapshot at most this often, and this many in total
+    this.snapshotInterval = options.snapshotInterval ?? 5 * 60 * 1000;
+    this.maxSnapshots = options.maxSnapshots ?? 10;
+
+    this._timer = null;
+    this._lastSnapshotAt = 0;
+
+    // Saving is suspended until the startup restore decision is made
+    this.enabled = false;
+  }
+
+  /**
+   * Subscribe to changes and bind the snapshot selector
+   */
+  init() {
+    const bus = this.appState.eventBus;
+    const schedule = () => this.scheduleSave();
+
+    bus.on('history:changed', schedule);
+    bus.on('style:changed', schedule);
+    bus.on('map:layer:changed', schedule);
+    bus.on('layers:changed', schedule);
+    this.appState.map?.onMove(schedule);
+
+    // Save pending changes before the page goes away
+    window.addEventListener('beforeunload', () => {
+      if (this._timer) this.save();
+    });
+
+    const select = document.getElementById('snapshots');
+    if (select) {
+      select.addEventListener('focus', () => this.renderSnapshotOptions(select));
+      select.addEventListener('change', async e => {
+        const id = Number(e.target.value);
+        e.target.value = '';
+
+        if (id && confirm('Replace current data with this snapshot?')) {
+          await this.restoreSnapshot(id);
+        }
+      });
+    }
+  }
+
+  // ==========================================================================
+  // CAPTURE / APPLY
+  // ==========================================================================
+
+  /**
+   * Capture the current session
+   * @returns {Object} { features, styles, layers, baseLayer, view, savedAt }
+   */
+  capture() {
+    const map = this.appState.map;
+    const center = map?.getCenter();
+
+    return {
+      features: this.ioManager.toFeatureCollection(),
+      styles: this.appState.styleManager.export(),
+      layers: this.appState.layers.export(),
+      baseLayer: map?.getActiveLayerName() ?? null,
+      view: center ? { lat: center.lat, lng: center.lng, zoom: map.getZoom() } : null,
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Replace the current state with a saved session
+   * @param {Object} session - Result of capture()
+   */
+  applySession(session) {
+    const { appState, ioManager } = this;
+    const map = appState.map;
+
+    appState.clearSelection();
+    appState.clearAll();
+
+    // Layers first, so features find their layers by name
+    appState.layers.import(session.layers);
+    ioManager.importGeoJSON(session.features);
+
+    if (session.styles) {
+      appState.styleManager.import(session.styles);
+    }
+
+    if (session.baseLayer && map) {
+      map.setBaseLayer(session.baseLayer);
+      appState.eventBus.emit('map:layer:changed', { layer: session.baseLayer });
+    }
+
+    if (session.view && map) {
+      map.setView({ lat: session.view.lat, lng: session.view.lng }, session.view.zoom);
+    }
+
+    appState.eventBus.emit('session:restored', { savedAt: session.savedAt });
+    appState.eventBus.emit('redraw');
+  }
+
+  // ==========================================================================
+  // PERSISTENCE
+  // ==========================================================================
+
+  /**
+   * Save after the change burst settles
+   */
+  scheduleSave() {
+    if (!this.enabled) return;
+
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.save(), this.delay);
+  }
+
+  /**
+   * Save the session now, adding a rolling snapshot when due
+   * @returns {Promise<void>}
+   */
+  async save() {
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    const session = this.capture();
+
+    try {
+      await idb.put('session', session, AUTOSAVE_KEY);
+
+      if (Date.now() - this._lastSnapshotAt >= this.snapshotInterval) {
+        await this.addSnapshot(session);
+      }
+    } catch (error) {
+      console.warn('Autosave failed:', error.message);
+    }
+  }
+
+  /**
+   * Load the last autosaved session
+   * @returns {Promise<Object|null>}
+   */
+  async loadLast() {
+    try {
+      return (await idb.get('session', AUTOSAVE_KEY)) ?? null;
+    } catch (error) {
+      console.warn('Autosave load failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a snapshot and drop the oldest beyond maxSnapshots
+   * @param {Object} session
+   */
+  async addSnapshot(session) {
+    await idb.put('snapshots', { ...session });
+    this._lastSnapshotAt = Date.now();
+
+    const snapshots = await this.listSnapshots();
+    for (const old of snapshots.slice(this.maxSnapshots)) {
+      await idb.remove('snapshots', old.id);
+    }
+  }
+
+  /**
+   * List snapshots, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async listSnapshots() {
+    try {
+      const all = await idb.getAll('snapshots');
+      return all.sort((a, b) => b.id - a.id);
+    } catch (error) {
+      console.warn('Snapshot list failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Restore a snapshot by id
+   * @param {number} id
+   * @returns {Promise<boolean>} Success
+   */
+  async restoreSnapshot(id) {
+    try {
+      const snapshot = await idb.get('snapshots', id);
+      if (!snapshot) return false;
+
+      this.applySession(snapshot);
+      return true;
+    } catch (error) {
+      console.warn('Snapshot restore failed:', error.message);
+      return false;
+    }
+  }
+
+  // ==========================================================================
+  // STARTUP
+  // ==========================================================================
+
+  /**
+   * Offer to restore the last session, then start autosaving
+   * @returns {Promise<boolean>} True if a session was restored
+   */
+  async offerRestore() {
+    const session = await this.loadLast();
+    const count = session?.features?.features?.length ?? 0;
+    let restored = false;
+
+    if (count > 0) {
+      const when = new Date(session.savedAt).toLocaleString();
+
+      if (confirm(`Restore last session (${count} features, saved ${when})?`)) {
+        this.applySession(session);
+
+        // The restore itself is not an undoable edit
+        this.appState.history.clear();
+        restored = true;
+      } else {
+        // Keep the declined session recoverable before it is overwritten
+        await this.addSnapshot(session).catch(() => {});
+      }
+    }
+
+    this.enabled = true;
+    return restored;
+  }
+
+  /**
+   * Fill the snapshot selector with stored snapshots
+   * @param {HTMLSelectElement} select
+   */
+  async renderSnapshotOptions(select) {
+    const snapshots = await this.listSnapshots();
+
+    select.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = snapshots.length ? 'Snapshots…' : 'No snapshots';
+    select.appendChild(placeholder);
+
+    for (const snap of snapshots) {
+      const opt = document.createElement('option');
+      opt.value = snap.id;
+      opt.textContent =
+        `${new Date(snap.savedAt).toLocaleString()} ` +
+        `(${snap.features?.features?.length ?? 0})`;
+      select.appendChild(opt);
+    }
+  }
+}
@@ -0,0 +1,139 @@
+// ============================================================================
+// io/DemLoader.js
+// Loads DEM tiles (.hgt, GeoTIFF) for offline elevation and picks the source
+// ============================================================================
+
+import { parseDEM } from '../utils/dem.js';
+import {
+  getDemProvider,
+  getElevationBatch,
+  getElevationSource,
+  setElevationSource
+} from '../utils/elevation.js';
+
+export class DemLoader {
+  constructor(appState, renderCallback) {
+    this.appState = appState;
+    this.renderCallback = renderCallback;
+    this.provider = getDemProvider();
+    this.elements = {};
+  }
+
+  /**
+   * Bind the DEM button, file input and elevation source select
+   */
+  init() {
+    this.elements = {
+      loadBtn: document.getElementById('demLoad'),
+      fileInput: document.getElementById('demFile'),
+      sourceSelect: document.getElementById('elevationSource')
+    };
+
+    const { loadBtn, fileInput, sourceSelect } = this.elements;
+
+    if (loadBtn && fileInput) {
+      loadBtn.addEventListener('click', () => fileInput.click());
+
+      fileInput.addEventListener('change', async e => {
+        await this.load(Array.from(e.target.files));
+        fileInput.value = ''; // Reset so the same tiles can be loaded again
+      });
+    }
+
+    if (sourceSelect) {
+      sourceSelect.value = getElevationSource();
+      sourceSelect.addEventListener('change', e => {
+        setElevationSource(e.target.value);
+        this.changed();
+      });
+    }
+
+    this.updateButton();
+  }
+
+  /**
+   * Parse DEM files and add them to the offline provider
+   * @param {Array<File>} files - .hgt, .tif or .tiff files
+   * @returns {Promise<number>} Number of tiles loaded
+   */
+  async load(files) {
+    const failed = [];
+    let loaded = 0;
+
+    for (const file of files) {
+      try {
+        const tile = await parseDEM(await file.arrayBuffer(), file.name);
+        this.provider.addTile(tile);
+        loaded++;
+      } catch (error) {
+        console.warn(`DEM load failed for ${file.name}:`, error.message);
+        failed.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    if (failed.length > 0) {
+      alert('Some DEM files could not be loaded:\n' + failed.join('\n'));
+    }
+
+    if (loaded > 0) {
+      this.updateButton();
+      this.changed();
+      await this.fillMissing();
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Look up elevations that are still missing on points, line vertices and sectors
+   * (e.g. drawn offline before the tiles were loaded)
+   */
+  async fillMissing() {
+    // { owner: object receiving elev, position: { lat, lng } }
+    const targets = [];
+
+    for (const tool of this.appState.getDrawingTools()) {
+      for (const item of tool.items) {
+        if (item.elev === null) targets.push({ owner: item, position: item.center || item });
+
+        for (const vertex of item.points || []) {
+          if (vertex.elev === null) targets.push({ owner: vertex, position: vertex });
+        }
+      }
+    }
+
+    if (targets.length === 0) return;
+
+    const elevations = await getElevationBatch(targets.map(t => t.position));
+    targets.forEach(({ owner }, i) => {
+      if (elevations[i] !== null) owner.elev = elevations[i];
+    });
+
+    this.renderCallback();
+  }
+
+  /**
+   * @private
+   */
+  changed() {
+    this.appState.eventBus.emit('elevation:source:changed', {
+      source: getElevationSource(),
+      tiles: this.provider.tiles.length
+    });
+  }
+
+  /**
+   * Show the tile count on the button
+   * @private
+   */
+  updateButton() {
+    const { loadBtn } = this.elements;
+    if (!loadBtn) return;
+
+    const count = this.provider.tiles.length;
+    loadBtn.textContent = count > 0 ? `DEM (${count})` : 'DEM';
+    loadBtn.title = count > 0
+      ? `Loaded: ${this.provider.tiles.map(t => t.name).join(', ')}`
+      : 'Load DEM tiles (.hgt, GeoTIFF) for offline elevation';
+  }
+}
@@ -0,0 +1,207 @@
+// ============================================================================
+// io/GPXFormat.js
+// Conversion between GeoJSON FeatureCollections and GPX 1.1 documents
+// ============================================================================
+
+import { escapeXML, parseXML, byTag, childText } from './xmlUtils.js';
+
+// Point symbols written to <sym> and recognised on import
+const TOOL_SYMBOLS = ['circle', 'triangle', 'square'];
+
+/* ===================== EXPORT ===================== */
+
+/**
+ * Build the child elements of a GPX point (wpt, rtept, trkpt)
+ * @param {number|null} ele - Elevation in meters
+ * @param {string|null} time - ISO 8601 timestamp
+ * @param {string|null} name - Point name
+ * @returns {string}
+ */
+function pointChildren(ele, time, name = null) {
+  return (
+    (Number.isFinite(ele) ? `<ele>${ele}</ele>` : '') +
+    (time ? `<time>${escapeXML(time)}</time>` : '') +
+    (name ? `<name>${escapeXML(name)}</name>` : '')
+  );
+}
+
+/**
+ * Build a <wpt> from a Point feature
+ * @param {Object} feature - GeoJSON Point feature
+ * @returns {string}
+ */
+function buildWaypoint(feature) {
+  const [lng, lat, ele] = feature.geometry.coordinates;
+  const props = feature.properties || {};
+
+  return (
+    `<wpt lat="${lat}" lon="${lng}">` +
+    pointChildren(props.elevation ?? ele ?? null, props.time ?? null, props.name ?? null) +
+    (props.symbol ? `<sym>${escapeXML(props.symbol)}</sym>` : '') +
+    '</wpt>'
+  );
+}
+
+/**
+ * Build a <rte> or <trk> from a LineString feature
+ * Per-vertex elevation comes from the third coordinate,
+ * per-vertex time from the `coordTimes` property
+ * @param {Object} feature - GeoJSON LineString feature
+ * @param {string} lineType - 'trk' or 'rte'
+ * @returns {string}
+ */
+function buildLine(feature, lineType) {
+  const props = feature.properties || {};
+  const times = props.coordTimes || [];
+  const name = props.name ? `<name>${escapeXML(props.name)}</name>` : '';
+  const tag = lineType === 'rte' ? 'rtept' : 'trkpt';
+
+  const pts = feature.geometry.coordinates.map(([lng, lat, ele], i) =>
+    `<${tag} lat="${lat}" lon="${lng}">${pointChildren(ele ?? null, times[i] ?? null)}</${tag}>`
+  );
+
+  if (lineType === 'rte') {
+    return `<rte>${name}${pts.join('')}</rte>`;
+  }
+
+  return `<trk>${name}<trkseg>${pts.join('')}</trkseg></trk>`;
+}
+
+/**
+ * Convert a GeoJSON FeatureCollection to a GPX 1.1 document
+ * Only plain points and lines are written; GPX has no polygons
+ * @param {Object} geojson - FeatureCollection
+ * @param {Object} options - { lineType: 'trk' | 'rte' }
+ * @returns {{ gpx: string, skipped: number }}
+ */
+export function toGPX(geojson, options = {}) {
+  const lineType = options.lineType === 'rte' ? 'rte' : 'trk';
+  const waypoints = [];
+  const lines = [];
+  let skipped = 0;
+
+  for (const feature of geojson.features || []) {
+    const type = feature.geometry?.type;
+
+    if (type === 'Point' && feature.properties?.type !== 'text') {
+      waypoints.push(buildWaypoint(feature));
+    } else if (type === 'LineString') {
+      lines.push(buildLine(feature, lineType));
+    } else {
+      skipped++;
+    }
+  }
+
+  // GPX requires waypoints before routes and tracks
+  const gpx =
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="Geometry Editor" ' +
+    'xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    `<metadata><time>${new Date().toISOString()}</time></metadata>\n` +
+    [...waypoints, ...lines].join('\n') + '\n' +
+    '</gpx>\n';
+
+  return { gpx, skipped };
+}
+
+/* ===================== IMPORT ===================== */
+
+/**
+ * Parse a wpt/rtept/trkpt element
+ * @param {Element} el
+ * @returns {{ position: Array<number>, time: string|null }|null}
+ */
+function parsePoint(el) {
+  const lat = parseFloat(el.getAttribute('lat'));
+  const lng = parseFloat(el.getAttribute('lon'));
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  const ele = parseFloat(childText(el, 'ele'));
+  const position = Number.isFinite(ele) ? [lng, lat, ele] : [lng, lat];
+
+  return { position, time: childText(el, 'time') };
+}
+
+/**
+ * Build a LineString feature from parsed GPX points
+ * @param {Array<Object>} points - Results of parsePoint
+ * @param {Object} properties - Feature properties
+ * @returns {Object|null}
+ */
+function lineFeature(points, properties) {
+  const valid = points.filter(Boolean);
+  if (valid.length < 2) return null;
+
+  if (valid.some(p => p.time)) {
+    properties.coordTimes = valid.map(p => p.time);
+  }
+
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: valid.map(p => p.position)
+    },
+    properties
+  };
+}
+
+/**
+ * Convert a GPX document to a GeoJSON FeatureCollection
+ * Waypoints become points; routes and each track segment become lines
+ * @param {string} text - GPX text
+ * @returns {Object} FeatureCollection
+ * @throws {Error} If the document cannot be parsed
+ */
+export function fromGPX(text) {
+  const doc = parseXML(text, 'GPX');
+  const features = [];
+
+  for (const wpt of byTag(doc, 'wpt')) {
+    const point = parsePoint(wpt);
+    if (!point) continue;
+
+    const properties = {};
+    const name = childText(wpt, 'name');
+    const sym = childText(wpt, 'sym');
+    if (point.position.length > 2) properties.elevation = point.position[2];
+    if (point.time) properties.time = point.time;
+    if (name) properties.name = name;
+    if (TOOL_SYMBOLS.includes(sym)) properties.symbol = sym;
+
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: point.position },
+      properties
+    });
+  }
+
+  for (const rte of byTag(doc, 'rte')) {
+    const name = childText(rte, 'name');
+    const feature = lineFeature(
+      byTag(rte, 'rtept').map(parsePoint),
+      name ? { name } : {}
+    );
+    if (feature) features.push(feature);
+  }
+
+  for (const trk of byTag(doc, 'trk')) {
+    const name = childText(trk, 'name');
+
+    for (const seg of byTag(trk, 'trkseg')) {
+      const feature = lineFeature(
+        byTag(seg, 'trkpt').map(parsePoint),
+        name ? { name } : {}
+      );
+      if (feature) features.push(feature);
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+// Export as namespace object as well
+export const GPXFormat = {
+  toGPX,
+  fromGPX
+};
@@ -1,12 +1,20 @@
 // ============================================================================
 // io/IOManager.js
-// Handles import/export of GeoJSON data
+// Handles import/export of GeoJSON, KML and GPX data
 // ============================================================================
 
+import { addItemsCommand } from '../core/CommandHistory.js';
+import { toKML, fromKML } from './KMLFormat.js';
+import { toGPX, fromGPX } from './GPXFormat.js';
+import { PART_TAG, explodeFeature, regroupFeatures } from './multiGeometry.js';
+import { ImportReport } from './ImportReport.js';
+
 export class IOManager {
-  constructor(toolManager, eventBus = null) {
+  constructor(toolManager, eventBus = null, history = null, layers = null) {
     this.toolManager = toolManager;
     this.eventBus = eventBus;
+    this.history = history;
+    this.layers = layers;
   }
 
   /**
@@ -16,16 +24,25 @@ export class IOManager {
     const exportBtn = document.getElementById('export');
     const importBtn = document.getElementById('import');
     const fileInput = document.getElementById('file');
+    const formatSelect = document.getElementById('exportFormat');
+    const regroupCheck = document.getElementById('exportRegroup');
 
     if (exportBtn) {
-      exportBtn.addEventListener('click', () => this.export());
+      exportBtn.addEventListener('click', () => {
+        this.exportAs(formatSelect?.value || 'geojson', {
+          regroup: !!regroupCheck?.checked
+        });
+      });
     }
 
     if (importBtn && fileInput) {
       importBtn.addEventListener('click', () => fileInput.click());
 
       fileInput.addEventListener('change', async e => {
-        await this.import(e.target.files[0]);
+        const file = e.target.files[0];
+        if (file) {
+          await this.importAs(file, this.detectFormat(file.name));
+        }
         fileInput.value = ''; // Reset so same file can be imported again
       });
     }
@@ -34,30 +51,12 @@ export class IOManager {
   /**
    * Export all tool data as GeoJSON
    * @param {string} filename - Output filename
+   * @param {Object} options - { regroup: merge grouped parts into multi-geometries }
    */
-  export(filename = 'geometry-data.geojson') {
+  export(filename = 'geometry-data.geojson', options = {}) {
     try {
-      // Get all drawing tools (excludes move/delete)
-      const tools = this.toolManager.getDrawingTools();
-
-      // Collect all GeoJSON features
-      const features = [];
-      for (const tool of tools) {
-        if (tool.toGeoJSON) {
-          const toolFeatures = tool.toGeoJSON();
-          features.push(...toolFeatures);
-        }
-      }
-
-      // Create GeoJSON FeatureCollection
-      const geojson = {
-        type: 'FeatureCollection',
-        features: features,
-        properties: {
-          exported: new Date().toISOString(),
-          version: '1.0'
-        }
-      };
+      const geojson = this.toFeatureCollection(options);
+      const features = geojson.features;
 
       // Download the file
       this.downloadJSON(geojson, filename);
@@ -80,67 +79,296 @@ export class IOManager {
   }
 
   /**
-   * Import GeoJSON data from a file
-   * @param {File} file - File object to import
+   * Collect all tool data into a GeoJSON FeatureCollection
+   * Grouped parts carry a PART_TAG member unless regrouped
+   * @param {Object} options - { regroup: merge grouped parts into multi-geometries }
+   * @returns {Object} FeatureCollection
    */
-  async import(file) {
-    if (!file) return;
+  toFeatureCollection(options = {}) {
+    // Get all drawing tools (excludes move/delete)
+    const tools = this.toolManager.getDrawingTools();
 
-    try {
-      // Read file contents
-      const json = await this.readJSONFile(file);
+    // Collect all GeoJSON features
+    const features = [];
+    for (const tool of tools) {
+      if (tool.toGeoJSON) {
+        const toolFeatures = tool.toGeoJSON();
 
-      // Validate GeoJSON
-      if (!this.validateGeoJSON(json)) {
-        alert('Invalid GeoJSON format');
-        return;
+        // Features map 1:1 onto tool items; record layer and group membership
+        toolFeatures.forEach((feature, i) => {
+          const item = tool.items[i];
+
+          feature.properties = {
+            ...feature.properties,
+            ...(this.layers && { layer: this.layers.layerOf(item).name })
+          };
+          if (item.group) feature[PART_TAG] = { group: item.group, type: item.groupType };
+        });
+
+        features.push(...toolFeatures);
+      }
+    }
+
+    return {
+      type: 'FeatureCollection',
+      features: options.regroup ? regroupFeatures(features) : features,
+      properties: {
+        exported: new Date().toISOString(),
+        version: '1.0'
       }
+    };
+  }
 
-      // Import features
-      const count = this.importGeoJSON(json);
+  /**
+   * Export all tool data as KML 2.2
+   * @param {string} filename - Output filename
+   * @param {Object} options - { regroup: write groups as MultiGeometry }
+   */
+  exportKML(filename = 'geometry-data.kml', options = {}) {
+    try {
+      const geojson = this.toFeatureCollection(options);
 
-      // Emit event
-      this.eventBus?.emit('import:complete', {
-        filename: file.name,
+      this.downloadText(
+        toKML(geojson),
+        filename,
+        'application/vnd.google-earth.kml+xml'
+      );
+
+      this.eventBus?.emit('export:complete', {
+        filename,
+        featureCount: geojson.features.length
+      });
+
+      console.log(`Exported ${geojson.features.length} features to ${filename}`);
+
+      return geojson;
+
+    } catch (error) {
+      console.error('KML export failed:', error);
+      alert('Export failed: ' + error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Export points and lines as GPX 1.1
+   * Polygons, sectors and texts have no GPX equivalent and are skipped
+   * @param {string} filename - Output filename
+   * @param {Object} options - { lineType: 'trk' | 'rte' }
+   */
+  exportGPX(filename = 'geometry-data.gpx', options = {}) {
+    try {
+      const { gpx, skipped } = toGPX(this.toFeatureCollection(), options);
+      const count = (gpx.match(/<(wpt|rte|trk)\b/g) || []).length;
+
+      this.downloadText(gpx, filename, 'application/gpx+xml');
+
+      this.eventBus?.emit('export:complete', {
+        filename,
         featureCount: count
       });
 
-      console.log(`Imported ${count} features from ${file.name}`);
+      console.log(`Exported ${count} features to ${filename} (${skipped} skipped)`);
+
+      return gpx;
+
+    } catch (error) {
+      console.error('GPX export failed:', error);
+      alert('Export failed: ' + error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Import a KML file
+   * @param {File} file - File object to import
+   */
+  async importKML(file) {
+    await this.importConverted(file, fromKML);
+  }
+
+  /**
+   * Import a GPX file
+   * @param {File} file - File object to import
+   */
+  async importGPX(file) {
+    await this.importConverted(file, fromGPX);
+  }
 
-      // Trigger redraw
-      this.eventBus?.emit('redraw');
+  /**
+   * Read a text file, convert it to GeoJSON and import it
+   * @param {File} file - File object to import
+   * @param {Function} convert - Converts file text to a FeatureCollection
+   * @returns {Promise<ImportReport|undefined>}
+   */
+  async importConverted(file, convert) {
+    if (!file) return;
 
+    let report;
+    try {
+      const text = await this.readTextFile(file);
+      report = this.importGeoJSON(convert(text), file.name);
     } catch (error) {
       console.error('Import failed:', error);
-      alert('Import failed: ' + error.message);
+      report = new ImportReport(file.name);
+      report.fail(error.message);
     }
+
+    return this.completeImport(report);
+  }
+
+  /**
+   * Import GeoJSON data from a file
+   * @param {File} file - File object to import
+   * @returns {Promise<ImportReport|undefined>}
+   */
+  async import(file) {
+    return this.importConverted(file, text => this.parseJSON(text));
   }
 
   /**
    * Import GeoJSON object into tools
+   * Each feature is validated by the tool that accepts it; features that
+   * cannot be imported are listed in the report instead of being dropped
    * @param {Object} geojson - GeoJSON object
-   * @returns {number} Number of features imported
+   * @param {string|null} filename - Source file name for the report
+   * @returns {ImportReport}
    */
-  importGeoJSON(geojson) {
-    if (!geojson || geojson.type !== 'FeatureCollection') {
-      return 0;
+  importGeoJSON(geojson, filename = null) {
+    const report = new ImportReport(filename);
+
+    if (!this.validateGeoJSON(geojson)) {
+      report.fail('Not a GeoJSON FeatureCollection');
+      return report;
+    }
+
+    const tools = this.toolManager.getAllTools().filter(tool => tool?.items);
+    report.total = geojson.features.length;
+
+    if (report.total === 0) {
+      report.warn('The file contains no features');
     }
 
-    const tools = this.toolManager.getAllTools();
-    let count = 0;
+    // Remember list lengths so the imported items can be recorded in history
+    const before = new Map(tools.map(tool => [tool, tool.items.length]));
+    const seenIds = new Set();
+
+    geojson.features.forEach((feature, index) => {
+      const id = feature?.id ?? null;
+      const label = `Feature ${index + 1}` + (id != null ? ` (id ${id})` : '');
+
+      if (feature?.type !== 'Feature') {
+        report.skip(index, 'Not a GeoJSON Feature', id);
+        return;
+      }
+
+      if (!feature.geometry) {
+        report.skip(index, 'Missing geometry', id);
+        return;
+      }
+
+      if (id != null) {
+        if (seenIds.has(id)) report.warn(`${label}: duplicate id`);
+        seenIds.add(id);
+      }
+
+      // Multi-part features are imported as one item per part, tagged with a group
+      const parts = explodeFeature(feature);
+      if (parts.length === 0) {
+        report.skip(index, `Empty ${feature.geometry.type}`, id);
+        return;
+      }
+      if (parts.length > 1) {
+        report.warn(`${label}: ${feature.geometry.type} split into ${parts.length} grouped items`);
+      }
+
+      parts.forEach((part, p) => {
+        const where = parts.length > 1 ? `Part ${p + 1}: ` : '';
+        const tool = tools.find(t => t.constructor.accepts?.(part));
 
-    for (const feature of geojson.features) {
-      // Find the appropriate tool for this feature
-      for (const tool of tools) {
-        if (tool?.constructor.accepts?.(feature)) {
-          tool.fromGeoJSON(feature);
-          count++;
-          break; // Move to next feature
+        if (!tool) {
+          report.skip(index, `${where}Unsupported geometry type: ${part.geometry.type}`, id);
+          return;
         }
+
+        const error = tool.validateFeature?.(part);
+        if (error) {
+          report.skip(index, `${where}${error}`, id);
+          return;
+        }
+
+        for (const warning of tool.featureWarnings?.(part) || []) {
+          report.warn(`${label}: ${where}${warning}`);
+        }
+
+        const length = tool.items.length;
+        tool.fromGeoJSON(part);
+
+        const created = tool.items.slice(length);
+        this.assignLayer(created, part);
+        this.assignGroup(created, part);
+        report.addImported(tool.getTypeName?.() ?? tool.constructor.name, created.length);
+      });
+    });
+
+    const entries = [];
+    for (const [tool, length] of before) {
+      for (const item of tool.items.slice(length)) {
+        entries.push({ list: tool.items, item });
       }
     }
 
-    return count;
+    if (entries.length > 0) {
+      this.history?.record(addItemsCommand(entries, 'Import'));
+    }
+
+    return report;
+  }
+
+  /**
+   * Announce a finished (or failed) file import
+   * @param {ImportReport} report
+   * @returns {ImportReport}
+   */
+  completeImport(report) {
+    this.eventBus?.emit('import:complete', {
+      filename: report.filename,
+      featureCount: report.imported,
+      report
+    });
+
+    this.eventBus?.emit('redraw');
+    return report;
+  }
+
+  /**
+   * Place imported items on the layer named in the feature properties
+   * Features without a layer go to the active layer
+   * @param {Array<Object>} items - Items created from the feature
+   * @param {Object} feature - Source GeoJSON feature
+   */
+  assignLayer(items, feature) {
+    if (!this.layers) return;
+
+    const id = this.layers.resolve(feature.properties?.layer);
+    for (const item of items) {
+      item.layer = id;
+    }
+  }
+
+  /**
+   * Tag items imported from a part of a multi-part feature
+   * @param {Array<Object>} items - Items created from the feature
+   * @param {Object} feature - Source GeoJSON feature
+   */
+  assignGroup(items, feature) {
+    const tag = feature[PART_TAG];
+    if (!tag?.group) return;
+
+    for (const item of items) {
+      item.group = tag.group;
+      item.groupType = tag.type;
+    }
   }
 
   /**
@@ -170,10 +398,17 @@ export class IOManager {
    * @param {string} filename - Filename
    */
   downloadJSON(obj, filename) {
-    const blob = new Blob(
-      [JSON.stringify(obj, null, 2)],
-      { type: 'application/json' }
-    );
+    this.downloadText(JSON.stringify(obj, null, 2), filename, 'application/json');
+  }
+
+  /**
+   * Download text as a file
+   * @param {string} text - File contents
+   * @param {string} filename - Filename
+   * @param {string} mimeType - MIME type
+   */
+  downloadText(text, filename, mimeType = 'text/plain') {
+    const blob = new Blob([text], { type: mimeType });
 
     const a = document.createElement('a');
     a.href = URL.createObjectURL(blob);
@@ -188,18 +423,34 @@ export class IOManager {
    * @param {File} file - File object
    * @returns {Promise<Object>} Parsed JSON object
    */
-  readJSONFile(file) {
+  async readJSONFile(file) {
+    return this.parseJSON(await this.readTextFile(file));
+  }
+
+  /**
+   * Parse JSON text
+   * @param {string} text
+   * @returns {Object}
+   * @throws {Error} If the text is not valid JSON
+   */
+  parseJSON(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error('Invalid JSON: ' + error.message);
+    }
+  }
+
+  /**
+   * Read a file as text
+   * @param {File} file - File object
+   * @returns {Promise<string>} File contents
+   */
+  readTextFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
 
-      reader.onload = () => {
-        try {
-          const json = JSON.parse(reader.result);
-          resolve(json);
-        } catch (error) {
-          reject(new Error('Invalid JSON: ' + error.message));
-        }
-      };
+      reader.onload = () => resolve(reader.result);
 
       reader.onerror = () => {
         reject(new Error('Failed to read file'));
@@ -210,21 +461,43 @@ export class IOManager {
   }
 
   /**
-   * Export to different formats (for future implementation)
-   * @param {string} format - Format (geojson, kml, gpx, etc.)
+   * Guess the format of a file from its name
+   * @param {string} filename - File name
+   * @returns {string} Format (geojson, kml, gpx)
+   */
+  detectFormat(filename) {
+    const ext = filename.split('.').pop().toLowerCase();
+
+    switch (ext) {
+      case 'kml':
+        return 'kml';
+
+      case 'gpx':
+        return 'gpx';
+
+      default:
+        return 'geojson';
+    }
+  }
+
+  /**
+   * Export to different formats
+   * @param {string} format - Format (geojson, kml, gpx, gpx-route)
+   * @param {Object} options - { regroup } for GeoJSON and KML
    */
-  exportAs(format) {
+  exportAs(format, options = {}) {
     switch (format) {
       case 'geojson':
-        return this.export();
+        return this.export(undefined, options);
 
       case 'kml':
-        console.log('KML export not yet implemented');
-        break;
+        return this.exportKML(undefined, options);
 
       case 'gpx':
-        console.log('GPX export not yet implemented');
-        break;
+        return this.exportGPX();
+
+      case 'gpx-route':
+        return this.exportGPX(undefined, { lineType: 'rte' });
 
       default:
         console.warn('Unknown export format:', format);
@@ -232,7 +505,7 @@ export class IOManager {
   }
 
   /**
-   * Import from different formats (for future implementation)
+   * Import from different formats
    * @param {File} file - File to import
    * @param {string} format - Format hint
    */
@@ -242,12 +515,10 @@ export class IOManager {
         return await this.import(file);
 
       case 'kml':
-        console.log('KML import not yet implemented');
-        break;
+        return await this.importKML(file);
 
       case 'gpx':
-        console.log('GPX import not yet implemented');
-        break;
+        return await this.importGPX(file);
 
       default:
         console.warn('Unknown import format:', format);
@@ -0,0 +1,95 @@
+// ============================================================================
+// io/ImportReport.js
+// Structured result of an import: counts per tool, skipped features, warnings
+// ============================================================================
+
+export class ImportReport {
+  /**
+   * @param {string|null} filename - Source file name, if any
+   */
+  constructor(filename = null) {
+    this.filename = filename;
+
+    // Number of features in the source collection
+    this.total = 0;
+
+    // Items created, keyed by tool type name (point, line, ...)
+    this.byTool = {};
+
+    // { index, id, reason } for each feature (or part) that was not imported
+    this.skipped = [];
+
+    // Non-fatal notes, e.g. multi-part features split into groups
+    this.warnings = [];
+
+    // Fatal errors: nothing was imported
+    this.errors = [];
+  }
+
+  /**
+   * Count an imported item
+   * @param {string} toolName - Tool type name
+   * @param {number} count - Items created
+   */
+  addImported(toolName, count = 1) {
+    this.byTool[toolName] = (this.byTool[toolName] || 0) + count;
+  }
+
+  /**
+   * Record a skipped feature
+   * @param {number} index - Feature index in the source collection
+   * @param {string} reason - Why it was skipped
+   * @param {*} id - Feature id, if any
+   */
+  skip(index, reason, id = null) {
+    this.skipped.push({ index, id, reason });
+  }
+
+  /**
+   * Record a warning
+   * @param {string} message
+   */
+  warn(message) {
+    this.warnings.push(message);
+  }
+
+  /**
+   * Record a fatal error
+   * @param {string} message
+   */
+  fail(message) {
+    this.errors.push(message);
+  }
+
+  /**
+   * Total number of items created
+   * @returns {number}
+   */
+  get imported() {
+    return Object.values(this.byTool).reduce((sum, n) => sum + n, 0);
+  }
+
+  /**
+   * @returns {boolean} True if anything was skipped, warned about or failed
+   */
+  hasIssues() {
+    return this.skipped.length > 0 || this.warnings.length > 0 || this.errors.length > 0;
+  }
+
+  /**
+   * One-line summary for logs
+   * @returns {string}
+   */
+  summary() {
+    if (this.errors.length > 0) {
+      return `Import of ${this.filename ?? 'data'} failed: ${this.errors.join('; ')}`;
+    }
+
+    return (
+      `Imported ${this.imported} items from ${this.total} features` +
+      (this.filename ? ` in ${this.filename}` : '') +
+      (this.skipped.length ? `, ${this.skipped.length} skipped` : '') +
+      (this.warnings.length ? `, ${this.warnings.length} warnings` : '')
+    );
+  }
+}
@@ -0,0 +1,450 @@
+// ============================================================================
+// io/KMLFormat.js
+// Conversion between GeoJSON FeatureCollections and KML 2.2 documents
+// ============================================================================
+
+import { escapeXML, parseXML, byTag, childrenByTag, childText } from './xmlUtils.js';
+import { PART_TAG, createGroupId, geometryParts, mergeGeometries } from './multiGeometry.js';
+
+/* ===================== STYLE MAPPING ===================== */
+
+// Tool colors as KML aabbggrr (alpha is applied separately)
+const KML_COLORS = {
+  black: '000000',
+  blue: 'ff0000',
+  red: '0000ff',
+  green: '008000',
+  yellow: '00ffff'
+};
+
+// Point symbols as Google Earth shape icons
+const SYMBOL_ICONS = {
+  circle: 'http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png',
+  triangle: 'http://maps.google.com/mapfiles/kml/shapes/triangle.png',
+  square: 'http://maps.google.com/mapfiles/kml/shapes/square.png'
+};
+
+/**
+ * Convert a tool color to a KML color string
+ * @param {string} color - Named color or #rrggbb
+ * @param {number} alpha - Opacity (0-1)
+ * @returns {string} aabbggrr
+ */
+function toKMLColor(color, alpha = 1) {
+  let bgr = KML_COLORS[color];
+
+  if (!bgr && /^#[0-9a-f]{6}$/i.test(color || '')) {
+    bgr = color.slice(5, 7) + color.slice(3, 5) + color.slice(1, 3);
+  }
+
+  const aa = Math.round(Math.max(0, Math.min(1, alpha)) * 255)
+    .toString(16)
+    .padStart(2, '0');
+
+  return (aa + (bgr || KML_COLORS.black)).toLowerCase();
+}
+
+/**
+ * Convert a KML color string to a tool color
+ * Known colors map back to their names, others become #rrggbb
+ * @param {string} kmlColor - aabbggrr
+ * @returns {{ color: string, alpha: number }|null}
+ */
+function fromKMLColor(kmlColor) {
+  const value = (kmlColor || '').trim().toLowerCase();
+  if (!/^[0-9a-f]{8}$/.test(value)) return null;
+
+  const bgr = value.slice(2);
+  const alpha = parseInt(value.slice(0, 2), 16) / 255;
+  const named = Object.keys(KML_COLORS).find(name => KML_COLORS[name] === bgr);
+
+  return {
+    color: named || `#${bgr.slice(4, 6)}${bgr.slice(2, 4)}${bgr.slice(0, 2)}`,
+    alpha: Math.round(alpha * 100) / 100
+  };
+}
+
+/* ===================== EXPORT ===================== */
+
+/**
+ * Format a GeoJSON position as a KML coordinate tuple
+ * @param {Array<number>} position - [lng, lat, ele?]
+ * @returns {string}
+ */
+function formatCoord(position) {
+  return position.slice(0, 3).join(',');
+}
+
+/**
+ * Build the <Style> for a feature, returning its id and XML
+ * Identical styles share the same id
+ * @param {Object} feature - GeoJSON feature
+ * @returns {{ id: string, xml: string }}
+ */
+function buildStyle(feature) {
+  const props = feature.properties || {};
+  const color = props.color || 'black';
+  // Multi-part features are styled by their first part
+  const geomType = geometryParts(feature.geometry)[0]?.type;
+
+  if (props.type === 'text') {
+    const scale = ((props.size || 14) / 14).toFixed(2);
+    return {
+      id: `text-${color}-${props.size || 14}`,
+      xml:
+        `<IconStyle><scale>0</scale></IconStyle>` +
+        `<LabelStyle><color>${toKMLColor(color)}</color><scale>${scale}</scale></LabelStyle>`
+    };
+  }
+
+  if (geomType === 'Point') {
+    const symbol = SYMBOL_ICONS[props.symbol] ? props.symbol : 'circle';
+    return {
+      id: `point-${color}-${symbol}`,
+      xml:
+        `<IconStyle><color>${toKMLColor(color)}</color>` +
+        `<Icon><href>${SYMBOL_ICONS[symbol]}</href></Icon></IconStyle>`
+    };
+  }
+
+  if (geomType === 'LineString') {
+    const dashed = props.style === 'dashed';
+    return {
+      id: `line-${color}-${dashed ? 'dashed' : 'solid'}`,
+      xml: `<LineStyle><color>${toKMLColor(color)}</color><width>2</width></LineStyle>`
+    };
+  }
+
+  // Polygon or sector
+  const alpha = props.alpha ?? 0.25;
+  const kind = props.type === 'sector' ? 'sector' : 'polygon';
+  return {
+    id: `${kind}-${color}-${Math.round(alpha * 100)}`,
+    xml:
+      `<LineStyle><color>${toKMLColor(color)}</color><width>2</width></LineStyle>` +
+      `<PolyStyle><color>${toKMLColor(color, alpha)}</color></PolyStyle>`
+  };
+}
+
+/**
+ * Build KML geometry for a GeoJSON geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {string}
+ */
+function buildGeometry(geometry) {
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point><coordinates>${formatCoord(geometry.coordinates)}</coordinates></Point>`;
+
+    case 'LineString':
+      return (
+        `<LineString><tessellate>1</tessellate><coordinates>` +
+        geometry.coordinates.map(formatCoord).join(' ') +
+        `</coordinates></LineString>`
+      );
+
+    case 'Polygon': {
+      const [outer, ...inner] = geometry.coordinates;
+      const ring = coords =>
+        `<LinearRing><coordinates>${coords.map(formatCoord).join(' ')}</coordinates></LinearRing>`;
+
+      return (
+        `<Polygon><outerBoundaryIs>${ring(outer)}</outerBoundaryIs>` +
+        inner.map(r => `<innerBoundaryIs>${ring(r)}</innerBoundaryIs>`).join('') +
+        `</Polygon>`
+      );
+    }
+
+    case 'MultiPoint':
+    case 'MultiLineString':
+    case 'MultiPolygon':
+    case 'GeometryCollection':
+      return `<MultiGeometry>${geometryParts(geometry).map(buildGeometry).join('')}</MultiGeometry>`;
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build <ExtendedData> holding every feature property
+ * Non-string values are JSON-encoded and tagged type="json" so they survive the round trip
+ * @param {Object} properties
+ * @returns {string}
+ */
+function buildExtendedData(properties) {
+  const entries = Object.entries(properties || {})
+    .filter(([, value]) => value !== undefined);
+
+  if (entries.length === 0) return '';
+
+  const data = entries.map(([name, value]) => {
+    const type = typeof value === 'string' ? '' : ' type="json"';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `<Data name="${escapeXML(name)}"${type}><value>${escapeXML(text)}</value></Data>`;
+  });
+
+  return `<ExtendedData>${data.join('')}</ExtendedData>`;
+}
+
+/**
+ * Convert a GeoJSON FeatureCollection to a KML 2.2 document
+ * @param {Object} geojson - FeatureCollection
+ * @param {string} name - Document name
+ * @returns {string} KML text
+ */
+export function toKML(geojson, name = 'Geometry Editor') {
+  const styles = new Map();
+  const placemarks = [];
+
+  for (const feature of geojson.features || []) {
+    const geometryXML = feature.geometry ? buildGeometry(feature.geometry) : '';
+    if (!geometryXML) continue;
+
+    const style = buildStyle(feature);
+    styles.set(style.id, style.xml);
+
+    const props = feature.properties || {};
+    const label = props.type === 'text' ? props.text : props.name;
+
+    placemarks.push(
+      '<Placemark>' +
+      (label ? `<name>${escapeXML(label)}</name>` : '') +
+      `<styleUrl>#${escapeXML(style.id)}</styleUrl>` +
+      buildExtendedData(props) +
+      geometryXML +
+      '</Placemark>'
+    );
+  }
+
+  const styleXML = Array.from(styles.entries())
+    .map(([id, xml]) => `<Style id="${escapeXML(id)}">${xml}</Style>`);
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2">\n' +
+    `<Document><name>${escapeXML(name)}</name>\n` +
+    styleXML.join('\n') + '\n' +
+    placemarks.join('\n') + '\n' +
+    '</Document>\n</kml>\n'
+  );
+}
+
+/* ===================== IMPORT ===================== */
+
+/**
+ * Text content of the first matching descendant
+ * @param {Element} parent
+ * @param {string} name - Local tag name
+ * @returns {string|null}
+ */
+function textOf(parent, name) {
+  const el = byTag(parent, name)[0];
+  return el ? el.textContent.trim() : null;
+}
+
+/**
+ * Parse a KML coordinates string into GeoJSON positions
+ * @param {string} text - "lng,lat[,ele] lng,lat[,ele] ..."
+ * @returns {Array<Array<number>>}
+ */
+function parseCoords(text) {
+  return (text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').map(Number))
+    .filter(pos => pos.length >= 2 && pos.every(Number.isFinite));
+}
+
+/**
+ * Parse a <Data> value written by buildExtendedData
+ * Only values tagged type="json" are decoded; everything else stays a string
+ * @param {Element} el - <Data> element
+ * @returns {*}
+ */
+function parseDataValue(el) {
+  const text = textOf(el, 'value') ?? '';
+  if (el.getAttribute('type') !== 'json') return text;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Not JSON - keep as a string
+    return text;
+  }
+}
+
+/**
+ * Convert KML geometry elements to GeoJSON geometries
+ * MultiGeometry is flattened into its parts (grouped by the caller)
+ * @param {Element} placemark
+ * @returns {Array<Object>} GeoJSON geometries
+ */
+function parseGeometries(placemark) {
+  const geometries = [];
+
+  for (const el of byTag(placemark, 'Point')) {
+    const [pos] = parseCoords(textOf(el, 'coordinates'));
+    if (pos) geometries.push({ type: 'Point', coordinates: pos });
+  }
+
+  for (const el of byTag(placemark, 'LineString')) {
+    const coords = parseCoords(textOf(el, 'coordinates'));
+    if (coords.length > 1) geometries.push({ type: 'LineString', coordinates: coords });
+  }
+
+  for (const el of byTag(placemark, 'Polygon')) {
+    const ringOf = boundary => parseCoords(textOf(boundary, 'coordinates'));
+    const outer = childrenByTag(el, 'outerBoundaryIs').map(ringOf)[0];
+    if (!outer || outer.length < 4) continue;
+
+    const inner = childrenByTag(el, 'innerBoundaryIs')
+      .map(ringOf)
+      .filter(ring => ring.length >= 4);
+
+    geometries.push({ type: 'Polygon', coordinates: [outer, ...inner] });
+  }
+
+  return geometries;
+}
+
+/**
+ * Collect styles by id, resolving StyleMaps to their "normal" style
+ * @param {Document} doc
+ * @returns {Map<string, Element>}
+ */
+function collectStyles(doc) {
+  const styles = new Map();
+
+  for (const style of byTag(doc, 'Style')) {
+    const id = style.getAttribute('id');
+    if (id) styles.set(id, style);
+  }
+
+  for (const map of byTag(doc, 'StyleMap')) {
+    const id = map.getAttribute('id');
+    const normal = byTag(map, 'Pair')
+      .find(pair => textOf(pair, 'key') === 'normal');
+    const url = normal && textOf(normal, 'styleUrl');
+
+    if (id && url && styles.has(url.replace(/^#/, ''))) {
+      styles.set(id, styles.get(url.replace(/^#/, '')));
+    }
+  }
+
+  return styles;
+}
+
+/**
+ * Derive tool style properties from a KML style
+ * Only used for properties not already present in ExtendedData
+ * @param {Element|null} style
+ * @param {string} geomType - GeoJSON geometry type
+ * @returns {Object}
+ */
+function styleProperties(style, geomType) {
+  if (!style) return {};
+
+  const props = {};
+
+  if (geomType === 'Point') {
+    const icon = byTag(style, 'IconStyle')[0];
+    const color = icon && fromKMLColor(textOf(icon, 'color'));
+    const href = icon && textOf(icon, 'href');
+    const symbol = Object.keys(SYMBOL_ICONS).find(key => SYMBOL_ICONS[key] === href);
+
+    if (color) props.color = color.color;
+    if (symbol) props.symbol = symbol;
+    return props;
+  }
+
+  const line = byTag(style, 'LineStyle')[0];
+  const lineColor = line && fromKMLColor(textOf(line, 'color'));
+  if (lineColor) props.color = lineColor.color;
+
+  if (geomType === 'LineString') {
+    const id = style.getAttribute('id') || '';
+    if (/dashed/.test(id)) props.style = 'dashed';
+  }
+
+  if (geomType === 'Polygon') {
+    const poly = byTag(style, 'PolyStyle')[0];
+    const fill = poly && fromKMLColor(textOf(poly, 'color'));
+    if (fill) {
+      props.color = props.color || fill.color;
+      props.alpha = fill.alpha;
+    }
+  }
+
+  return props;
+}
+
+/**
+ * Convert a KML document to a GeoJSON FeatureCollection
+ * @param {string} text - KML text
+ * @returns {Object} FeatureCollection
+ * @throws {Error} If the document cannot be parsed
+ */
+export function fromKML(text) {
+  const doc = parseXML(text, 'KML');
+
+  const styles = collectStyles(doc);
+  const features = [];
+
+  for (const placemark of byTag(doc, 'Placemark')) {
+    // Properties written by toKML take precedence over derived ones
+    const data = {};
+    for (const el of byTag(placemark, 'Data')) {
+      const name = el.getAttribute('name');
+      if (name) data[name] = parseDataValue(el);
+    }
+
+    const name = childText(placemark, 'name');
+    const description = childText(placemark, 'description');
+    const styleId = (childText(placemark, 'styleUrl') || '').replace(/^#/, '');
+    const inlineStyle = childrenByTag(placemark, 'Style')[0];
+    const style = inlineStyle || styles.get(styleId) || null;
+
+    // Parts of a MultiGeometry are tagged as one group
+    const geometries = parseGeometries(placemark);
+    const tag = geometries.length > 1 && {
+      group: createGroupId(),
+      type: mergeGeometries(geometries).type
+    };
+
+    for (const geometry of geometries) {
+      const properties = {
+        ...styleProperties(style, geometry.type),
+        ...data
+      };
+
+      if (name) {
+        if (properties.type === 'text') {
+          properties.text = properties.text ?? name;
+        } else {
+          properties.name = properties.name ?? name;
+        }
+      }
+
+      if (description && properties.description === undefined) {
+        properties.description = description;
+      }
+
+      if (geometry.type === 'Point' && geometry.coordinates.length > 2 &&
+          properties.elevation === undefined) {
+        properties.elevation = geometry.coordinates[2];
+      }
+
+      features.push({ type: 'Feature', geometry, properties, ...(tag && { [PART_TAG]: tag }) });
+    }
+  }
+
+  return { type: 'FeatureCollection', features };
+}
+
+// Export as namespace object as well
+export const KMLFormat = {
+  toKML,
+  fromKML
+};
@@ -0,0 +1,385 @@
+// ============================================================================
+// io/ProjectManager.js
+// Named projects stored in IndexedDB: create, open, save, rename, duplicate
+// ============================================================================
+
+import * as idb from './idb.js';
+
+// Key under which the open project id is kept in the 'session' store
+const CURRENT_KEY = 'currentProject';
+
+export class ProjectManager {
+  /**
+   * @param {AppState} appState
+   * @param {AutoSave} autoSave - Provides session capture/apply
+   */
+  constructor(appState, autoSave) {
+    this.appState = appState;
+    this.autoSave = autoSave;
+
+    // Open project: { id, name } or null for unsaved work
+    this.current = null;
+
+    // True when the data changed since the project was opened or saved
+    this.dirty = false;
+
+    // Set while a project is being applied, so its own changes don't mark it dirty
+    this._loading = false;
+
+    this.select = null;
+  }
+
+  /**
+   * Subscribe to changes and bind the project controls
+   */
+  init() {
+    const bus = this.appState.eventBus;
+    const markDirty = () => {
+      if (!this._loading) this.dirty = true;
+    };
+
+    bus.on('history:changed', markDirty);
+    bus.on('style:changed', markDirty);
+    bus.on('map:layer:changed', markDirty);
+    bus.on('layers:changed', markDirty);
+
+    this.select = document.getElementById('projectSelect');
+    if (this.select) {
+      this.select.addEventListener('change', async e => {
+        const id = Number(e.target.value);
+        if (id && id !== this.current?.id) {
+          await this.open(id);
+        }
+        this.render();
+      });
+    }
+
+    const actions = document.getElementById('projectActions');
+    if (actions) {
+      actions.addEventListener('change', async e => {
+        const action = e.target.value;
+        e.target.value = '';
+        await this.runAction(action);
+      });
+    }
+
+    this.render();
+  }
+
+  /**
+   * Restore the open project after startup
+   * The restored session may hold edits that were never saved to the project:
+   * it is dirty unless its content matches the stored project
+   * @param {boolean} restored - Whether the last session was restored
+   */
+  async resume(restored) {
+    this.dirty = restored;
+
+    try {
+      const id = restored ? await idb.get('session', CURRENT_KEY) : null;
+      const project = id ? await idb.get('projects', id) : null;
+
+      this.current = project ? { id: project.id, name: project.name } : null;
+      if (project) {
+        this.dirty = sessionContent(this.autoSave.capture()) !== sessionContent(project.session);
+      }
+      if (!restored) await idb.remove('session', CURRENT_KEY);
+    } catch (error) {
+      console.warn('Project resume failed:', error.message);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Dispatch a project action chosen in the UI
+   * @param {string} action - new | save | rename | duplicate | delete
+   */
+  async runAction(action) {
+    switch (action) {
+      case 'new': {
+        const name = prompt('Project name:', 'Untitled');
+        if (name?.trim()) await this.create(name.trim());
+        break;
+      }
+
+      case 'save':
+        if (this.current) {
+          await this.save();
+        } else {
+          const name = prompt('Project name:', 'Untitled');
+          if (name?.trim()) await this.create(name.trim());
+        }
+        break;
+
+      case 'rename': {
+        if (!this.current) return;
+        const name = prompt('Rename project:', this.current.name);
+        if (name?.trim()) await this.rename(this.current.id, name.trim());
+        break;
+      }
+
+      case 'duplicate': {
+        if (!this.current) return;
+        const name = prompt('Name of the copy:', `${this.current.name} (copy)`);
+        if (name?.trim()) await this.duplicate(name.trim());
+        break;
+      }
+
+      case 'delete':
+        if (this.current && confirm(`Delete project "${this.current.name}"?`)) {
+          await this.remove(this.current.id);
+        }
+        break;
+    }
+
+    this.render();
+  }
+
+  // ==========================================================================
+  // PROJECT OPERATIONS
+  // ==========================================================================
+
+  /**
+   * List stored projects by name
+   * @returns {Promise<Array<Object>>} { id, name, createdAt, updatedAt }
+   */
+  async list() {
+    try {
+      const all = await idb.getAll('projects');
+      return all
+        .map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.warn('Project list failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Create a project and make it current
+   * Unsaved work becomes the new project; an open project is left for an empty one
+   * @param {string} name
+   * @returns {Promise<boolean>} Success
+   */
+  async create(name) {
+    if (this.current) {
+      if (!(await this.confirmLeave())) return false;
+
+      this.apply({ ...this.autoSave.capture(), features: emptyCollection(), layers: null });
+    }
+
+    return this.store(name, this.autoSave.capture());
+  }
+
+  /**
+   * Write the current data to the open project
+   * @returns {Promise<boolean>} Success
+   */
+  async save() {
+    if (!this.current) return false;
+
+    try {
+      const project = await idb.get('projects', this.current.id);
+      if (!project) return false;
+
+      await idb.put('projects', {
+        ...project,
+        session: this.autoSave.capture(),
+        updatedAt: new Date().toISOString()
+      });
+
+      this.dirty = false;
+      return true;
+    } catch (error) {
+      console.warn('Project save failed:', error.message);
+      alert('Failed to save project');
+      return false;
+    }
+  }
+
+  /**
+   * Replace the current data with a stored project
+   * @param {number} id
+   * @returns {Promise<boolean>} Success
+   */
+  async open(id) {
+    if (!(await this.confirmLeave())) return false;
+
+    try {
+      const project = await idb.get('projects', id);
+      if (!project) return false;
+
+      this.apply(project.session);
+      await this.setCurrent(project);
+      return true;
+    } catch (error) {
+      console.warn('Project open failed:', error.message);
+      alert('Failed to open project');
+      return false;
+    }
+  }
+
+  /**
+   * Rename a project
+   * @param {number} id
+   * @param {string} name
+   * @returns {Promise<boolean>} Success
+   */
+  async rename(id, name) {
+    try {
+      const project = await idb.get('projects', id);
+      if (!project) return false;
+
+      await idb.put('projects', { ...project, name });
+      if (this.current?.id === id) this.current.name = name;
+      return true;
+    } catch (error) {
+      console.warn('Project rename failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Save the current data as a new project and switch to it
+   * The original project keeps its last saved state
+   * @param {string} name
+   * @returns {Promise<boolean>} Success
+   */
+  async duplicate(name) {
+    return this.store(name, this.autoSave.capture());
+  }
+
+  /**
+   * Delete a project; the data on screen stays as unsaved work
+   * @param {number} id
+   * @returns {Promise<boolean>} Success
+   */
+  async remove(id) {
+    try {
+      await idb.remove('projects', id);
+
+      if (this.current?.id === id) {
+        await this.setCurrent(null);
+        this.dirty = true;
+      }
+      return true;
+    } catch (error) {
+      console.warn('Project delete failed:', error.message);
+      return false;
+    }
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Add a project record and make it current
+   * @private
+   */
+  async store(name, session) {
+    const now = new Date().toISOString();
+
+    try {
+      const id = await idb.put('projects', { name, session, createdAt: now, updatedAt: now });
+      await this.setCurrent({ id, name });
+      return true;
+    } catch (error) {
+      console.warn('Project create failed:', error.message);
+      alert('Failed to create project');
+      return false;
+    }
+  }
+
+  /**
+   * Load a session without it counting as an edit
+   * History is cleared so undo cannot cross into another project
+   * @private
+   */
+  apply(session) {
+    this._loading = true;
+    try {
+      this.autoSave.applySession(session);
+      this.appState.history.clear();
+    } finally {
+      this._loading = false;
+    }
+  }
+
+  /**
+   * Remember the open project across reloads
+   * @private
+   */
+  async setCurrent(project) {
+    this.current = project ? { id: project.id, name: project.name } : null;
+    this.dirty = false;
+
+    if (project) {
+      await idb.put('session', project.id, CURRENT_KEY);
+    } else {
+      await idb.remove('session', CURRENT_KEY);
+    }
+  }
+
+  /**
+   * Offer to save unsaved changes before switching away
+   * @returns {Promise<boolean>} False if the user cancelled
+   * @private
+   */
+  async confirmLeave() {
+    if (!this.dirty) return true;
+
+    if (this.current) {
+      if (confirm(`Save changes to "${this.current.name}"?`)) {
+        await this.save();
+      }
+      return true;
+    }
+
+    const isEmpty = this.appState.getDataLists().every(list => list.length === 0);
+    return isEmpty || confirm('Discard unsaved data?');
+  }
+
+  /**
+   * Fill the project selector
+   */
+  async render() {
+    if (!this.select) return;
+
+    const projects = await this.list();
+    this.select.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = projects.length ? 'No project' : 'No projects';
+    none.disabled = true;
+    this.select.appendChild(none);
+
+    for (const project of projects) {
+      const opt = document.createElement('option');
+      opt.value = project.id;
+      opt.textContent = project.name;
+      this.select.appendChild(opt);
+    }
+
+    this.select.value = this.current ? String(this.current.id) : '';
+  }
+}
+
+/**
+ * @returns {Object} Empty FeatureCollection
+ */
+function emptyCollection() {
+  return { type: 'FeatureCollection', features: [] };
+}
+
+/**
+ * Serialize the saved data of a session, leaving out view and timestamps
+ * @param {Object} session - Result of AutoSave.capture()
+ * @returns {string}
+ */
+function sessionContent(session) {
+  const { features, styles, layers, baseLayer } = session || {};
+  return JSON.stringify({ features: features?.features ?? [], styles, layers, baseLayer });
+}
@@ -0,0 +1,119 @@
+// ============================================================================
+// io/idb.js
+// Minimal promise wrapper around IndexedDB
+// ============================================================================
+
+const DB_NAME = 'geometry-editor';
+const DB_VERSION = 2;
+
+/**
+ * Create object stores for the current schema version
+ * @param {IDBDatabase} db
+ */
+function upgrade(db) {
+  if (!db.objectStoreNames.contains('session')) {
+    db.createObjectStore('session');
+  }
+
+  if (!db.objectStoreNames.contains('snapshots')) {
+    db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+  }
+
+  if (!db.objectStoreNames.contains('projects')) {
+    db.createObjectStore('projects', { keyPath: 'id', autoIncrement: true });
+  }
+}
+
+let dbPromise = null;
+
+/**
+ * Open (once) the application database
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+
+    // Allow a retry if opening failed
+    dbPromise.catch(() => (dbPromise = null));
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Promisify an IDBRequest
+ * @param {IDBRequest} req
+ * @returns {Promise<*>}
+ */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Run an operation against one object store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDB();
+  const tx = db.transaction(storeName, mode);
+  return promisify(fn(tx.objectStore(storeName)));
+}
+
+/**
+ * Get a value by key
+ * @param {string} storeName
+ * @param {*} key
+ * @returns {Promise<*>}
+ */
+export function get(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Get all values in a store
+ * @param {string} storeName
+ * @returns {Promise<Array>}
+ */
+export function getAll(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Put a value (with an optional out-of-line key)
+ * @param {string} storeName
+ * @param {*} value
+ * @param {*} key - Only for stores without a keyPath
+ * @returns {Promise<*>} The key
+ */
+export function put(storeName, value, key) {
+  return withStore(storeName, 'readwrite', store =>
+    key === undefined ? store.put(value) : store.put(value, key)
+  );
+}
+
+/**
+ * Delete a value by key
+ * @param {string} storeName
+ * @param {*} key
+ * @returns {Promise<void>}
+ */
+export function remove(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+}
@@ -0,0 +1,162 @@
+// ============================================================================
+// io/multiGeometry.js
+// Explode Multi* / GeometryCollection features into single parts and regroup
+// ============================================================================
+
+// Single geometry type of each multi-part type
+const PART_TYPES = {
+  MultiPoint: 'Point',
+  MultiLineString: 'LineString',
+  MultiPolygon: 'Polygon'
+};
+
+// Multi-part type of each single geometry type
+const MULTI_TYPES = {
+  Point: 'MultiPoint',
+  LineString: 'MultiLineString',
+  Polygon: 'MultiPolygon'
+};
+
+// Feature member tagging a part of a multi-part feature: { group, type }
+// Kept outside `properties` so user attributes such as `group` never collide
+export const PART_TAG = 'geometryEditor:part';
+
+/* ===================== EXPLODE ===================== */
+
+/**
+ * Create a group id unique across sessions
+ * @returns {string}
+ */
+export function createGroupId() {
+  const random = globalThis.crypto?.randomUUID?.() ??
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  return `group-${random}`;
+}
+
+/**
+ * Flatten a geometry into single-part geometries
+ * Nested GeometryCollections are flattened recursively
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array<Object>} Point, LineString and Polygon geometries
+ */
+export function geometryParts(geometry) {
+  if (!geometry) return [];
+
+  if (geometry.type === 'GeometryCollection') {
+    return (geometry.geometries || []).flatMap(geometryParts);
+  }
+
+  const partType = PART_TYPES[geometry.type];
+  if (partType) {
+    return (geometry.coordinates || []).map(coordinates => ({ type: partType, coordinates }));
+  }
+
+  return [geometry];
+}
+
+/**
+ * Check if a feature has a multi-part geometry
+ * @param {Object} feature - GeoJSON feature
+ * @returns {boolean}
+ */
+export function isMultiPart(feature) {
+  const type = feature?.geometry?.type;
+  return type === 'GeometryCollection' || type in PART_TYPES;
+}
+
+/**
+ * Split a multi-part feature into one feature per part
+ * Parts share the feature's properties and are tagged with PART_TAG
+ * (shared group id and original geometry type); only the first keeps the id
+ * Single-part features are returned unchanged
+ * @param {Object} feature - GeoJSON feature
+ * @returns {Array<Object>} Features
+ */
+export function explodeFeature(feature) {
+  if (!isMultiPart(feature)) return [feature];
+
+  const tag = { group: createGroupId(), type: feature.geometry.type };
+  const { id, ...rest } = feature;
+
+  return geometryParts(feature.geometry).map((geometry, i) => ({
+    ...(i === 0 ? feature : rest),
+    geometry,
+    [PART_TAG]: tag
+  }));
+}
+
+/* ===================== REGROUP ===================== */
+
+/**
+ * Merge part geometries back into a multi-part geometry
+ * Parts of one type become Multi*, unless the source was a GeometryCollection
+ * @param {Array<Object>} geometries - Single-part geometries
+ * @param {string} groupType - Original geometry type
+ * @returns {Object} GeoJSON geometry
+ */
+export function mergeGeometries(geometries, groupType) {
+  const types = new Set(geometries.map(g => g.type));
+  const [type] = types;
+
+  if (groupType !== 'GeometryCollection' && types.size === 1 && MULTI_TYPES[type]) {
+    return {
+      type: MULTI_TYPES[type],
+      coordinates: geometries.map(g => g.coordinates)
+    };
+  }
+
+  return { type: 'GeometryCollection', geometries };
+}
+
+/**
+ * Re-assemble features tagged with PART_TAG into multi-part features
+ * The first part supplies the properties, and the id unless another part holds it;
+ * part tags are removed
+ * @param {Array<Object>} features - GeoJSON features
+ * @returns {Array<Object>} Features, groups in place of their first part
+ */
+export function regroupFeatures(features) {
+  const groups = new Map(); // group id -> { index, type, id, parts }
+  const result = [];
+
+  for (const feature of features) {
+    const tag = feature[PART_TAG];
+
+    if (!tag?.group) {
+      result.push(feature);
+      continue;
+    }
+
+    if (!groups.has(tag.group)) {
+      groups.set(tag.group, { index: result.length, type: tag.type, id: undefined, parts: [] });
+      result.push(feature);
+    }
+
+    const group = groups.get(tag.group);
+    group.parts.push(feature.geometry);
+    if (group.id == null && feature.id != null) group.id = feature.id;
+  }
+
+  for (const { index, type, id, parts } of groups.values()) {
+    const { [PART_TAG]: tag, id: firstId, ...first } = result[index];
+
+    result[index] = {
+      ...first,
+      ...(id != null && { id }),
+      geometry: mergeGeometries(parts, type)
+    };
+  }
+
+  return result;
+}
+
+// Export as namespace object as well
+export const MultiGeometry = {
+  PART_TAG,
+  createGroupId,
+  geometryParts,
+  isMultiPart,
+  explodeFeature,
+  mergeGeometries,
+  regroupFeatures
+};
@@ -0,0 +1,65 @@
+// ============================================================================
+// io/xmlUtils.js
+// Shared XML helpers for the KML and GPX converters
+// ============================================================================
+
+/**
+ * Escape text for use in XML
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse XML text, throwing on malformed input
+ * @param {string} text - XML text
+ * @param {string} formatName - Format name for the error message
+ * @returns {Document}
+ */
+export function parseXML(text, formatName = 'XML') {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`Invalid ${formatName}: XML could not be parsed`);
+  }
+
+  return doc;
+}
+
+/**
+ * Get descendants by local name (namespace-agnostic)
+ * @param {Element|Document} parent
+ * @param {string} name - Local tag name
+ * @returns {Array<Element>}
+ */
+export function byTag(parent, name) {
+  return Array.from(parent.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Get the direct children of an element by local name
+ * @param {Element} parent
+ * @param {string} name - Local tag name
+ * @returns {Array<Element>}
+ */
+export function childrenByTag(parent, name) {
+  return Array.from(parent.children).filter(el => el.localName === name);
+}
+
+/**
+ * Text content of the first direct child with a local name
+ * @param {Element} parent
+ * @param {string} name - Local tag name
+ * @returns {string|null}
+ */
+export function childText(parent, name) {
+  const el = childrenByTag(parent, name)[0];
+  return el ? el.textContent.trim() : null;
+}
@@ -6,6 +6,8 @@
 import { AppState } from './core/AppState.js';
 import { MapView } from './core/MapView.js';
 import { HitDetector } from './utils/hitDetection.js';
+import { Snapper } from './utils/snapping.js';
+import { DrawUtils } from './utils/drawing.js';
 
 // Import tools
 import { PointsTool } from './tools/PointsTool.js';
@@ -15,15 +17,28 @@ import { SectorTool } from './tools/SectorTool.js';
 import { TextTool } from './tools/TextTool.js';
 import { MoveTool } from './tools/MoveTool.js';
 import { DeleteTool } from './tools/DeleteTool.js';
+import { EditTool } from './tools/EditTool.js';
+import { LineOfSightTool } from './tools/LineOfSightTool.js';
 
 // Import UI and I18N
 import { UIManager } from './ui/UIManager.js';
 import { StatusBar } from './ui/StatusBar.js';
 import { KeyboardShortcuts } from './ui/KeyboardShortcuts.js';
+import { BoxSelection } from './ui/BoxSelection.js';
+import { LayerPanel } from './ui/LayerPanel.js';
+import { PropertiesPanel } from './ui/PropertiesPanel.js';
+import { ImportReportPanel } from './ui/ImportReportPanel.js';
+import { CoordinateEntry } from './ui/CoordinateEntry.js';
+import { SearchBox } from './ui/SearchBox.js';
+import { ElevationProfilePanel } from './ui/ElevationProfilePanel.js';
+import { LineOfSightPanel } from './ui/LineOfSightPanel.js';
 import { renderI18n, initLangSelector } from './i18n/i18n.js';
 
 // Import IO
 import { IOManager } from './io/IOManager.js';
+import { AutoSave } from './io/AutoSave.js';
+import { ProjectManager } from './io/ProjectManager.js';
+import { DemLoader } from './io/DemLoader.js';
 
 /* ===================== INITIALIZATION ===================== */
 
@@ -39,24 +54,68 @@ const map = new MapView();
 appState.setMap(map);
 
 const hitDetector = new HitDetector(map);
+const snapper = new Snapper(map, hitDetector);
+
+// Modes whose clicks snap to existing geometry
+const SNAP_MODES = ['line', 'polygon', 'sector', 'los'];
 
 // 3. Create draw callback
 const draw = () => {
   ctx.clearRect(0, 0, canvas.width, canvas.height);
-  const tools = appState.toolManager.getAllTools();
+  const tools = appState.toolManager.getAllTools().filter(Boolean);
+  const layers = appState.layers;
+
+  // Finished items, layer by layer from the bottom up
+  for (const layer of layers.getDrawOrder()) {
+    if (!layer.visible) continue;
+
+    for (const tool of tools) {
+      if (!tool.drawItems) continue;
+      tool.drawItems(ctx, map, tool.items.filter(item => layers.layerOf(item) === layer));
+    }
+  }
+
+  // Drafts and tool overlays (edit handles) above all layers
   for (const tool of tools) {
-    tool.draw?.(ctx, map);
+    if (tool.drawItems) {
+      tool.drawDraft(ctx, map);
+    } else {
+      tool.draw?.(ctx, map);
+    }
+  }
+
+  snapper.draw(ctx);
+
+  // Highlight selected items on top
+  for (const item of appState.getSelection()) {
+    DrawUtils.drawHighlight(ctx, map, item);
   }
+
+  profilePanel.draw(ctx, map);
+  boxSelection.draw(ctx);
 };
 
 // 4. Initialize tools with dependencies
 const points = new PointsTool(appState.styleManager, draw);
 const line = new PolylineTool(appState.styleManager);
 const polygon = new PolygonTool(appState.styleManager);
-const sector = new SectorTool(appState.styleManager);
+const sector = new SectorTool(appState.styleManager, draw);
 const text = new TextTool(appState.styleManager);
-const move = new MoveTool(appState.toolManager, map, hitDetector);
-const deleteTool = new DeleteTool(appState.toolManager, map, hitDetector);
+const move = new MoveTool(appState.toolManager, map, hitDetector, appState);
+const deleteTool = new DeleteTool(appState.toolManager, map, hitDetector, appState);
+const edit = new EditTool(appState.toolManager, map, hitDetector, appState);
+const lineOfSight = new LineOfSightTool(appState, draw);
+const boxSelection = new BoxSelection(appState, map, hitDetector);
+
+// Drawing tools record finished items in the undo history
+// and place them on the active layer
+for (const tool of [points, line, polygon, sector, text]) {
+  tool.setHistory(appState.history);
+  tool.setLayers(appState.layers);
+}
+
+// Hidden layers cannot be clicked, dragged or box-selected
+hitDetector.setFilter(item => appState.layers.isVisible(item));
 
 // 5. Register tools
 appState.toolManager.register('explore', null);
@@ -67,15 +126,44 @@ appState.toolManager.register('sector', sector);
 appState.toolManager.register('text', text);
 appState.toolManager.register('move', move);
 appState.toolManager.register('delete', deleteTool);
+appState.toolManager.register('edit', edit);
+appState.toolManager.register('los', lineOfSight);
 
 appState.setMode('explore');
 
 // 6. Initialize UI (now that appState.map is set)
 const uiManager = new UIManager(appState, draw);
 uiManager.init();
+uiManager.initSnapping(snapper);
+
+const layerPanel = new LayerPanel(appState, draw);
+layerPanel.init();
+
+const propertiesPanel = new PropertiesPanel(appState);
+propertiesPanel.init();
+
+const importReportPanel = new ImportReportPanel(appState);
+importReportPanel.init();
+
+const coordinateEntry = new CoordinateEntry(appState, draw);
+coordinateEntry.init();
+
+const searchBox = new SearchBox(appState, draw);
+searchBox.init();
+
+const profilePanel = new ElevationProfilePanel(appState, draw);
+profilePanel.init();
+
+const losPanel = new LineOfSightPanel(appState, draw);
+losPanel.init();
 
 // 7. Initialize status bar
 const statusBar = new StatusBar(document.getElementById('status'));
+appState.eventBus.on('coordinates:format:changed', () => statusBar.render());
+appState.eventBus.on('units:changed', () => statusBar.render());
+appState.eventBus.on('coordinates:copied', ({ text }) => {
+  statusBar.showNote(text ? `copied ${text}` : 'copy failed');
+});
 
 // 8. Initialize keyboard shortcuts
 const keyboard = new KeyboardShortcuts(appState, draw);
@@ -86,10 +174,28 @@ renderI18n();
 initLangSelector(document.getElementById('langSelect'));
 
 // 10. Initialize IO
-const ioManager = new IOManager(appState.toolManager, appState.eventBus);
+const ioManager = new IOManager(
+  appState.toolManager,
+  appState.eventBus,
+  appState.history,
+  appState.layers
+);
 ioManager.init();
 
-// 11. Setup resize handler
+// 11. Autosave, offering to restore the previous session
+const autoSave = new AutoSave(appState, ioManager);
+autoSave.init();
+
+// 12. Projects (the open project is resumed only with the restored session)
+const projects = new ProjectManager(appState, autoSave);
+projects.init();
+autoSave.offerRestore().then(restored => projects.resume(restored));
+
+// 13. Offline elevation tiles
+const demLoader = new DemLoader(appState, draw);
+demLoader.init();
+
+// 14. Setup resize handler
 function resize() {
   canvas.width = window.innerWidth;
   canvas.height = window.innerHeight;
@@ -99,10 +205,48 @@ function resize() {
 window.addEventListener('resize', resize);
 resize();
 
-// 12. Setup map events
-map.onClick(latlng => {
+// 15. Setup map events
+
+/**
+ * Snap a drawing position to nearby geometry
+ * Holding Alt disables snapping for that click or move
+ */
+function snapLatLng(latlng, e) {
+  if (!SNAP_MODES.includes(appState.getMode()) || e?.altKey) {
+    snapper.clear();
+    return latlng;
+  }
+
+  return snapper.snap(latlng, appState.getDrawingTools());
+}
+
+appState.eventBus.on('mode:changed', ({ mode }) => {
+  snapper.clear();
+
+  // The line-of-sight analysis lasts while its tool is active
+  if (mode !== 'los') lineOfSight.clear();
+});
+
+map.onClick((latlng, e) => {
+  // Ignore the click that ends a box selection
+  if (boxSelection.consumeClick()) return;
+
+  // Explore mode: click selects, Shift-click adds/removes
+  if (appState.getMode() === 'explore') {
+    const item = hitDetector.pick(latlng, appState.getDrawingTools());
+
+    if (e?.shiftKey) {
+      if (item) appState.toggleSelected(item);
+    } else {
+      appState.select(item ? [item] : []);
+    }
+
+    draw();
+    return;
+  }
+
   const tool = appState.toolManager.getActive();
-  tool?.add?.(latlng);
+  tool?.add?.(snapLatLng(latlng, e), e);
   draw();
 });
 
@@ -112,26 +256,53 @@ map.onDoubleClick(() => {
   draw();
 });
 
-map.onMouseDown(latlng => {
+map.onMouseDown((latlng, e) => {
+  // Shift+drag draws a selection box in explore and move modes
+  if (e?.shiftKey && ['explore', 'move'].includes(appState.getMode())) {
+    boxSelection.start(latlng);
+    return;
+  }
+
+  // Tools return true when they grab something; the map must not pan then
   const tool = appState.toolManager.getActive();
-  tool?.onMouseDown?.(latlng);
+  if (tool?.onMouseDown?.(latlng, e)) {
+    map.setDraggingEnabled(false);
+  }
 });
 
 map.onMouseUp(() => {
+  if (boxSelection.isActive()) {
+    boxSelection.finish();
+    draw();
+    return;
+  }
+
+  map.setDraggingEnabled(true);
+
   const tool = appState.toolManager.getActive();
   if (tool?.isMoveTool) {
     tool.finish();
     draw();
+  } else if (tool?.onMouseUp) {
+    tool.onMouseUp();
+    draw();
   }
 });
 
-map.onMouseMove(latlng => {
-  // Update status bar
+map.onMouseMove((latlng, e) => {
+  // Update status bar and the elevation profile cursor
   statusBar.update(latlng);
+  profilePanel.hoverMap(latlng);
+
+  if (boxSelection.isActive()) {
+    boxSelection.update(latlng);
+    draw();
+    return;
+  }
 
   // Update tool
   const tool = appState.toolManager.getActive();
-  tool?.onMouseMove?.(latlng);
+  tool?.onMouseMove?.(snapLatLng(latlng, e));
   draw();
 });
 
@@ -142,11 +313,23 @@ window.__debug__ = {
   appState,
   map,
   draw,
-  tools: { points, line, polygon, sector, text, move, deleteTool },
+  tools: { points, line, polygon, sector, text, move, deleteTool, edit, lineOfSight },
   uiManager,
+  snapper,
+  boxSelection,
   statusBar,
   keyboard,
-  ioManager
+  ioManager,
+  layerPanel,
+  propertiesPanel,
+  importReportPanel,
+  coordinateEntry,
+  searchBox,
+  profilePanel,
+  losPanel,
+  autoSave,
+  projects,
+  demLoader
 };
 
 console.log('✅ Geometry Editor initialized');
@@ -3,7 +3,16 @@
 // Abstract base class for all drawing tools
 // ============================================================================
 
+import { addItemsCommand } from '../core/CommandHistory.js';
+
+// Feature properties with a fixed meaning for every tool
+const COMMON_KEYS = ['layer', 'name', 'description'];
+
 export class BaseTool {
+  // GeoJSON properties written by the tool itself (override in subclasses)
+  // Anything else on an imported feature is kept as a custom attribute
+  static propertyKeys = [];
+
   constructor(styleManager) {
     this.styleManager = styleManager;
 
@@ -12,6 +21,12 @@ export class BaseTool {
 
     // Draft item being created (active drawing)
     this._draft = null;
+
+    // Undo/redo history (set later by main.js)
+    this.history = null;
+
+    // Layer manager assigning new items to the active layer (set later by main.js)
+    this.layers = null;
   }
 
   // ============================================================================
@@ -32,7 +47,7 @@ export class BaseTool {
    */
   finish() {
     if (this._draft) {
-      this.items.push(this._draft);
+      this.commitItem(this._draft);
       this._draft = null;
     }
   }
@@ -43,7 +58,27 @@ export class BaseTool {
    * @param {MapView} map - Map instance for coordinate conversion
    */
   draw(ctx, map) {
-    throw new Error('draw() must be implemented by subclass');
+    this.drawItems(ctx, map, this.items);
+    this.drawDraft(ctx, map);
+  }
+
+  /**
+   * Draw finished items (a subset when drawing layer by layer)
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {MapView} map - Map instance for coordinate conversion
+   * @param {Array} items - Items to draw
+   */
+  drawItems(ctx, map, items) {
+    throw new Error('drawItems() must be implemented by subclass');
+  }
+
+  /**
+   * Draw the item being created, if any
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {MapView} map - Map instance for coordinate conversion
+   */
+  drawDraft(ctx, map) {
+    // Override in subclasses that have drafts
   }
 
   // ============================================================================
@@ -103,10 +138,155 @@ export class BaseTool {
     // Override in subclasses
   }
 
+  /**
+   * Check an accepted feature before import
+   * Subclasses add checks for the properties they require
+   * @param {Object} feature - GeoJSON feature
+   * @returns {string|null} Reason to skip the feature, or null if valid
+   */
+  validateFeature(feature) {
+    const { type, coordinates } = feature.geometry;
+    if (!Array.isArray(coordinates)) return 'Missing coordinates';
+
+    const rings = {
+      Point: [[coordinates]],
+      LineString: [coordinates],
+      Polygon: coordinates
+    }[type] || [];
+
+    for (const ring of rings) {
+      if (!Array.isArray(ring)) return 'Malformed coordinates';
+
+      for (const c of ring) {
+        if (!Array.isArray(c) || !this.isValidLatLng({ lat: c[1], lng: c[0] })) {
+          return `Invalid coordinates: ${JSON.stringify(c)}`;
+        }
+      }
+    }
+
+    if (type === 'LineString' && coordinates.length < 2) {
+      return 'LineString needs at least 2 positions';
+    }
+
+    if (type === 'Polygon' && !(coordinates[0]?.length >= 4)) {
+      return 'Polygon ring needs at least 4 positions';
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe data an accepted feature will lose on import
+   * @param {Object} feature - GeoJSON feature
+   * @returns {Array<string>} Warnings
+   */
+  featureWarnings(feature) {
+    return [];
+  }
+
+  /**
+   * Check if a property key is managed by the tool rather than the user
+   * @param {string} key
+   * @returns {boolean}
+   */
+  static isReservedKey(key) {
+    return COMMON_KEYS.includes(key) || this.propertyKeys.includes(key);
+  }
+
+  /**
+   * Read the feature id, name, description and custom attributes
+   * Unrecognised properties are kept as attributes so they survive export
+   * @param {Object} feature - GeoJSON feature
+   * @returns {Object} { id, name, description, attributes } (empty fields omitted)
+   */
+  readMetadata(feature) {
+    const props = feature.properties || {};
+    const metadata = {};
+    const attributes = {};
+
+    if (feature.id != null) metadata.id = feature.id;
+
+    if (props.name != null && props.name !== '') metadata.name = String(props.name);
+    if (props.description != null && props.description !== '') {
+      metadata.description = String(props.description);
+    }
+
+    for (const [key, value] of Object.entries(props)) {
+      if (!this.constructor.isReservedKey(key)) attributes[key] = value;
+    }
+
+    if (Object.keys(attributes).length > 0) metadata.attributes = attributes;
+    return metadata;
+  }
+
+  /**
+   * Build the user metadata part of an item's feature properties
+   * @param {Object} item
+   * @returns {Object}
+   */
+  writeMetadata(item) {
+    return {
+      ...item.attributes,
+      ...(item.name && { name: item.name }),
+      ...(item.description && { description: item.description })
+    };
+  }
+
+  /**
+   * Build a GeoJSON feature for an item, including its id and metadata
+   * Tool properties take precedence over custom attributes
+   * @param {Object} item
+   * @param {Object} geometry - GeoJSON geometry
+   * @param {Object} properties - Tool-specific properties
+   * @returns {Object} GeoJSON feature
+   */
+  makeFeature(item, geometry, properties) {
+    return {
+      type: 'Feature',
+      ...(item.id != null && { id: item.id }),
+      geometry,
+      properties: {
+        ...this.writeMetadata(item),
+        ...properties
+      }
+    };
+  }
+
   // ============================================================================
   // HELPER METHODS
   // ============================================================================
 
+  /**
+   * Set the undo/redo history used to record changes
+   * @param {CommandHistory} history
+   */
+  setHistory(history) {
+    this.history = history;
+  }
+
+  /**
+   * Set the layer manager used to place new items
+   * @param {LayerManager} layers
+   */
+  setLayers(layers) {
+    this.layers = layers;
+  }
+
+  /**
+   * Add a finished item to the tool and record it in history
+   * The item is placed on the active layer
+   * @param {Object} item - Item to add
+   * @param {string} label - History label
+   */
+  commitItem(item, label = `Add ${this.getTypeName()}`) {
+    if (this.layers && !item.layer) {
+      item.layer = this.layers.activeId;
+    }
+
+    this.items.push(item);
+    this.history?.record(addItemsCommand([{ list: this.items, item }], label));
+  }
+
   /**
    * Get current style snapshot for a tool
    * Returns a copy to avoid mutations affecting the manager
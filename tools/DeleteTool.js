@@ -1,24 +1,39 @@
 // ============================================================================
 // tools/DeleteTool.js
 // ============================================================================
+import { removeItemsCommand } from '../core/CommandHistory.js';
 
 export class DeleteTool {
-  constructor(toolManager, map, hitDetector) {
+  constructor(toolManager, map, hitDetector, appState = null) {
     this.toolManager = toolManager;
     this.map = map;
     this.hitDetector = hitDetector;
+    this.appState = appState;
   }
 
   add(latlng) {
     const tools = this.toolManager.getAllTools().filter(t => !t.isMoveTool);
-    const hit = this.hitDetector.pickForDelete(latlng, tools);
+    const hit = this.hitDetector.pickForDelete(
+      latlng,
+      tools,
+      item => !this.appState?.layers.isLocked(item)
+    );
     if (!hit) return;
 
     const { tool, index } = hit;
-    tool.splice(index, 1);
+
+    // Clicking a selected item deletes the whole selection
+    if (this.appState?.isSelected(tool[index])) {
+      this.appState.deleteSelection();
+      return;
+    }
+
+    const [item] = tool.splice(index, 1);
+
+    this.appState?.history.record(removeItemsCommand([{ list: tool, item, index }]));
   }
 
   draw() {
     // Delete tool doesn't draw anything
   }
-}
\ No newline at end of file
+}
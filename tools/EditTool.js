@@ -0,0 +1,407 @@
+// ============================================================================
+// tools/EditTool.js
+// Handle-based editing of selected lines, polygons and sectors
+// ============================================================================
+import { changeItemsCommand } from '../core/CommandHistory.js';
+import { GeoUtils } from '../utils/geometry.js';
+import { getElevation } from '../utils/elevation.js';
+import { PolylineTool } from './PolylineTool.js';
+import { PolygonTool } from './PolygonTool.js';
+import { SectorTool } from './SectorTool.js';
+
+// Rotation handle sits just outside the sector arc
+const ROTATE_HANDLE_SCALE = 1.15;
+
+// Sector angle limits in degrees
+const MIN_SECTOR_ANGLE = 1;
+const MAX_SECTOR_ANGLE = 360;
+
+export class EditTool {
+  constructor(toolManager, map, hitDetector, appState) {
+    this.toolManager = toolManager;
+    this.map = map;
+    this.hitDetector = hitDetector;
+    this.appState = appState;
+
+    // Active drag: { item, handle, before }
+    this._drag = null;
+
+    // Set after a drag so its trailing click does not change the selection;
+    // cleared on the next press in case that click never arrives
+    this._suppressClick = false;
+  }
+
+  // ==========================================================================
+  // INTERACTION
+  // ==========================================================================
+
+  /**
+   * Click: Alt-click a vertex to delete it, otherwise select an item
+   * @param {Object} latlng - { lat, lng }
+   * @param {MouseEvent} e - Original DOM event
+   */
+  add(latlng, e) {
+    if (this._suppressClick) {
+      this._suppressClick = false;
+      return;
+    }
+
+    const mousePx = this.map.latLngToScreen(latlng);
+
+    if (e?.altKey) {
+      const hit = this.findHandle(mousePx, h => h.kind === 'vertex');
+      if (hit) this.deleteVertex(hit.item, hit.handle.index, hit.handle.ring);
+      return;
+    }
+
+    const item = this.hitDetector.pick(latlng, this.getEditableTools());
+    this.appState.select(item ? [item] : []);
+  }
+
+  /**
+   * Grab a handle of a selected item
+   * @param {Object} latlng - { lat, lng }
+   * @param {MouseEvent} e - Original DOM event
+   * @returns {boolean} True if a handle was grabbed (map should not pan)
+   */
+  onMouseDown(latlng, e) {
+    this._suppressClick = false;
+    if (e?.altKey) return false;
+
+    const hit = this.findHandle(this.map.latLngToScreen(latlng));
+    if (!hit) return false;
+
+    const { item, handle } = hit;
+    const before = this.editableState(item);
+
+    // Dragging a midpoint inserts a new vertex and drags that instead
+    if (handle.kind === 'midpoint') {
+      this.getRing(item, handle.ring)
+        .splice(handle.index + 1, 0, this.newVertex(item, handle.latlng));
+      this._drag = {
+        item,
+        handle: { kind: 'vertex', ring: handle.ring, index: handle.index + 1 },
+        before
+      };
+    } else {
+      this._drag = { item, handle, before };
+    }
+
+    return true;
+  }
+
+  /**
+   * Move the grabbed handle
+   * @param {Object} latlng - { lat, lng }
+   */
+  onMouseMove(latlng) {
+    if (!this._drag) return;
+
+    const { item, handle } = this._drag;
+
+    if (item.center) {
+      this.dragSectorHandle(item, handle, latlng);
+      return;
+    }
+
+    const vertex = this.getRing(item, handle.ring)[handle.index];
+    vertex.lat = latlng.lat;
+    vertex.lng = latlng.lng;
+  }
+
+  /**
+   * Apply a sector handle drag
+   * @param {Object} sector - { center, radius, bearing, angle }
+   * @param {Object} handle - Grabbed handle
+   * @param {Object} latlng - Mouse position
+   */
+  dragSectorHandle(sector, handle, latlng) {
+    const brg = GeoUtils.bearing(sector.center, latlng);
+
+    switch (handle.kind) {
+      case 'radius':
+        sector.radius = GeoUtils.distance(sector.center, latlng);
+        break;
+
+      case 'rotate':
+        sector.bearing = brg;
+        break;
+
+      case 'edge': {
+        // Edges move symmetrically around the bearing
+        const offset = Math.abs(((brg - sector.bearing + 540) % 360) - 180);
+        sector.angle = Math.round(
+          Math.max(MIN_SECTOR_ANGLE, Math.min(MAX_SECTOR_ANGLE, offset * 2))
+        );
+        break;
+      }
+    }
+  }
+
+  /**
+   * Release the grabbed handle and record the edit
+   */
+  onMouseUp() {
+    if (!this._drag) return;
+
+    const { item, handle, before } = this._drag;
+    this._drag = null;
+    this._suppressClick = true;
+
+    if (item.center) {
+      this.recordChange(item, before, 'Edit sector');
+      return;
+    }
+
+    this.refreshElevation(this.getRing(item, handle.ring)[handle.index]);
+    this.recordChange(item, before, 'Edit vertex');
+  }
+
+  /**
+   * Cancel any drag in progress
+   */
+  finish() {
+    this._drag = null;
+  }
+
+  // ==========================================================================
+  // EDIT OPERATIONS
+  // ==========================================================================
+
+  /**
+   * Delete a vertex, keeping the minimum vertex count for the shape
+   * @param {Object} item - Line or polygon
+   * @param {number} index - Vertex index
+   * @param {number} ring - 0 for the outline, 1.. for polygon holes
+   */
+  deleteVertex(item, index, ring = 0) {
+    const points = this.getRing(item, ring);
+    const minVertices = this.isClosed(item) ? 3 : 2;
+    if (points.length <= minVertices) return;
+
+    const before = this.editableState(item);
+    points.splice(index, 1);
+    this.recordChange(item, before, 'Delete vertex');
+  }
+
+  /**
+   * Snapshot of the fields this tool edits on an item
+   * @param {Object} item - Line, polygon or sector
+   * @returns {Object}
+   */
+  editableState(item) {
+    if (item.center) {
+      const { radius, bearing, angle } = item;
+      return { radius, bearing, angle };
+    }
+
+    return {
+      points: this.clone(item.points),
+      ...(item.holes && { holes: this.clone(item.holes) })
+    };
+  }
+
+  /**
+   * Record an edit of an item in history
+   * @private
+   */
+  recordChange(item, before, label) {
+    const after = this.editableState(item);
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    this.appState.history.record(changeItemsCommand([{ item, before, after }], label));
+  }
+
+  /**
+   * Create a vertex object matching the shape's point format
+   * Line vertices carry an elevation, polygon vertices do not
+   * @private
+   */
+  newVertex(item, latlng) {
+    const vertex = { lat: latlng.lat, lng: latlng.lng };
+    if ('elev' in (item.points[0] || {})) vertex.elev = null;
+    return vertex;
+  }
+
+  /**
+   * Re-fetch the elevation of a moved line vertex
+   * @private
+   */
+  refreshElevation(vertex) {
+    if (!vertex || !('elev' in vertex)) return;
+
+    getElevation(vertex.lat, vertex.lng)
+      .then(e => (vertex.elev = e))
+      .catch(() => {});
+  }
+
+  // ==========================================================================
+  // HANDLES
+  // ==========================================================================
+
+  /**
+   * Get the editing handles of an item
+   * @param {Object} item - Selected item
+   * @returns {Array<Object>} { kind, ring, index, latlng }
+   */
+  getHandles(item) {
+    if (item.center) return this.getSectorHandles(item);
+    if (!item.points) return [];
+
+    const closed = this.isClosed(item);
+    const handles = [];
+
+    this.getRings(item).forEach((points, ring) => {
+      points.forEach((p, index) => handles.push({ kind: 'vertex', ring, index, latlng: p }));
+
+      const segments = closed ? points.length : points.length - 1;
+      for (let i = 0; i < segments; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        handles.push({ kind: 'midpoint', ring, index: i, latlng: GeoUtils.midpoint(a, b) });
+      }
+    });
+
+    return handles;
+  }
+
+  /**
+   * Vertex lists of an item: the outline followed by any polygon holes
+   * @param {Object} item - Line or polygon
+   * @returns {Array<Array>}
+   */
+  getRings(item) {
+    return [item.points, ...(item.holes || [])];
+  }
+
+  /**
+   * Vertex list of one ring of an item
+   * @param {Object} item - Line or polygon
+   * @param {number} ring - 0 for the outline, 1.. for polygon holes
+   * @returns {Array}
+   */
+  getRing(item, ring = 0) {
+    return ring > 0 ? item.holes[ring - 1] : item.points;
+  }
+
+  /**
+   * Get the handles of a sector: radius endpoint, rotation and both edges
+   * @param {Object} sector - { center, radius, bearing, angle }
+   * @returns {Array<Object>} { kind, latlng }
+   */
+  getSectorHandles(sector) {
+    const { center, radius, bearing, angle } = sector;
+
+    return [
+      { kind: 'radius', latlng: GeoUtils.project(center, radius, bearing) },
+      { kind: 'rotate', latlng: GeoUtils.project(center, radius * ROTATE_HANDLE_SCALE, bearing) },
+      { kind: 'edge', latlng: GeoUtils.project(center, radius, bearing - angle / 2) },
+      { kind: 'edge', latlng: GeoUtils.project(center, radius, bearing + angle / 2) }
+    ];
+  }
+
+  /**
+   * Find the handle under the mouse among selected editable items
+   * Vertex and sector handles win over midpoints when both are in range
+   * @param {Object} mousePx - { x, y }
+   * @param {Function} filter - Optional handle filter
+   * @returns {Object|null} { item, handle }
+   */
+  findHandle(mousePx, filter = () => true) {
+    const tolerance = this.hitDetector.getTolerance();
+    let best = null;
+
+    for (const item of this.getEditableSelection()) {
+      for (const handle of this.getHandles(item).filter(filter)) {
+        const px = this.map.latLngToScreen(handle.latlng);
+        const dist = this.hitDetector.distancePx(mousePx, px);
+        const rank = handle.kind === 'midpoint' ? 1 : 0;
+
+        if (dist >= tolerance) continue;
+
+        if (!best || rank < best.rank || (rank === best.rank && dist < best.dist)) {
+          best = { item, handle, dist, rank };
+        }
+      }
+    }
+
+    return best && { item: best.item, handle: best.handle };
+  }
+
+  /**
+   * Selected items this tool can edit (skips locked layers)
+   * @returns {Array<Object>}
+   */
+  getEditableSelection() {
+    const lists = this.getEditableTools().map(tool => tool.items);
+    return this.appState.getSelection()
+      .filter(item => lists.some(list => list.includes(item)))
+      .filter(item => this.appState.layers.isEditable(item));
+  }
+
+  /**
+   * Tools whose items can be edited
+   * @returns {Array<Object>}
+   */
+  getEditableTools() {
+    return this.toolManager.getAllTools()
+      .filter(tool =>
+        tool instanceof PolylineTool ||
+        tool instanceof PolygonTool ||
+        tool instanceof SectorTool
+      );
+  }
+
+  /**
+   * Check if an item is a closed ring (polygon)
+   * @param {Object} item
+   * @returns {boolean}
+   */
+  isClosed(item) {
+    return this.toolManager.getAllTools()
+      .some(tool => tool instanceof PolygonTool && tool.items.includes(item));
+  }
+
+  // ==========================================================================
+  // DRAWING
+  // ==========================================================================
+
+  /**
+   * Draw handles for selected items while editing
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {MapView} map - Map instance
+   */
+  draw(ctx, map) {
+    if (this.appState.getMode() !== 'edit') return;
+
+    ctx.save();
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = '#ff9800';
+
+    for (const item of this.getEditableSelection()) {
+      for (const handle of this.getHandles(item)) {
+        const { x, y } = map.latLngToScreen(handle.latlng);
+
+        ctx.beginPath();
+        if (handle.kind === 'midpoint') {
+          ctx.fillStyle = 'rgba(255, 152, 0, 0.6)';
+          ctx.arc(x, y, 4, 0, Math.PI * 2);
+        } else if (handle.kind === 'rotate') {
+          ctx.fillStyle = '#ff9800';
+          ctx.arc(x, y, 6, 0, Math.PI * 2);
+        } else {
+          ctx.fillStyle = '#fff';
+          ctx.rect(x - 5, y - 5, 10, 10);
+        }
+        ctx.fill();
+        ctx.stroke();
+      }
+    }
+
+    ctx.restore();
+  }
+
+  clone(obj) {
+    return JSON.parse(JSON.stringify(obj));
+  }
+}
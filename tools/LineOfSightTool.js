@@ -0,0 +1,224 @@
+// ============================================================================
+// tools/LineOfSightTool.js
+// Line-of-sight analysis between two clicked points
+// ============================================================================
+import { DrawUtils } from '../utils/drawing.js';
+import { getElevationProfile } from '../utils/elevation.js';
+import { analyzeLineOfSight } from '../utils/visibility.js';
+
+// Terrain samples between observer and target
+const LOS_SAMPLES = 200;
+
+export const LOS_COLORS = {
+  visible: '#43a047',
+  hidden: '#e53935',
+  unknown: '#9e9e9e'
+};
+
+export class LineOfSightTool {
+  constructor(appState, drawCallback) {
+    this.appState = appState;
+    this.drawCallback = drawCallback;
+
+    // Heights above ground in meters
+    this.observerHeight = 1.7;
+    this.targetHeight = 0;
+
+    this.observer = null;
+    this.target = null;
+    this._cursor = null;
+
+    // Fetched terrain profile and its analysis
+    this.profile = null;
+    this.result = null;
+    this.loading = false;
+
+    // Incremented per analysis so stale responses are ignored
+    this._request = 0;
+  }
+
+  /**
+   * First click places the observer, second the target; a third starts over
+   * @param {Object} latlng - { lat, lng }
+   */
+  add(latlng) {
+    const position = { lat: latlng.lat, lng: latlng.lng };
+
+    if (!this.observer || this.target) {
+      this.clear();
+      this.observer = position;
+      this.emit();
+      return;
+    }
+
+    this.target = position;
+    this._cursor = null;
+    this.analyze();
+  }
+
+  onMouseMove(latlng) {
+    if (this.observer && !this.target) this._cursor = latlng;
+  }
+
+  /**
+   * Drop an observer that has no target yet
+   */
+  finish() {
+    if (!this.target) this.clear();
+  }
+
+  /**
+   * Forget the current analysis
+   */
+  clear() {
+    this._request++;
+    this.observer = null;
+    this.target = null;
+    this._cursor = null;
+    this.profile = null;
+    this.result = null;
+    this.loading = false;
+    this.emit();
+  }
+
+  /**
+   * Change observer and target heights, re-analysing the loaded terrain
+   * @param {Object} heights - { observer, target } in meters
+   */
+  setHeights({ observer = this.observerHeight, target = this.targetHeight }) {
+    this.observerHeight = observer;
+    this.targetHeight = target;
+
+    if (this.profile) {
+      this.result = analyzeLineOfSight(this.profile, this.observerHeight, this.targetHeight);
+      this.emit();
+    }
+  }
+
+  /**
+   * Fetch terrain between observer and target and analyse it
+   */
+  async analyze() {
+    const request = ++this._request;
+
+    this.profile = null;
+    this.result = null;
+    this.loading = true;
+    this.emit();
+
+    const profile = await getElevationProfile([this.observer, this.target], LOS_SAMPLES);
+    if (request !== this._request) return;
+
+    this.loading = false;
+    this.profile = profile;
+    this.result = analyzeLineOfSight(profile, this.observerHeight, this.targetHeight);
+    this.emit();
+    this.drawCallback?.();
+  }
+
+  /**
+   * @private
+   */
+  emit() {
+    this.appState.eventBus.emit('lineofsight:changed', {
+      observer: this.observer,
+      target: this.target,
+      result: this.result,
+      loading: this.loading
+    });
+  }
+
+  // ==========================================================================
+  // DRAWING
+  // ==========================================================================
+
+  draw(ctx, map) {
+    if (!this.observer) return;
+
+    const end = this.target || this._cursor;
+
+    if (this.result) {
+      this.drawVisibility(ctx, map);
+    } else if (end) {
+      DrawUtils.drawLine(ctx, map, [this.observer, end], {
+        color: LOS_COLORS.unknown,
+        width: 2,
+        dashed: true
+      });
+    }
+
+    this.drawMarker(ctx, map, this.observer, '#1565c0');
+    if (this.target) {
+      const color = this.result ? LOS_COLORS[this.result.visible ? 'visible' : 'hidden'] : LOS_COLORS.unknown;
+      this.drawMarker(ctx, map, this.target, color);
+    }
+
+    const ridge = this.result?.obstruction;
+    if (ridge) this.drawRidge(ctx, map, ridge);
+  }
+
+  /**
+   * Draw the sight line in runs of visible, hidden and unknown terrain
+   * @private
+   */
+  drawVisibility(ctx, map) {
+    const { samples, visible } = this.result;
+    const last = samples.length - 1;
+
+    // The target's own verdict includes its height above ground
+    const colorOf = (s, i) => {
+      const seen = i === last ? visible : s.visible;
+      return LOS_COLORS[seen === null ? 'unknown' : seen ? 'visible' : 'hidden'];
+    };
+
+    let run = [samples[0]];
+    let color = colorOf(samples[1], 1);
+
+    for (let i = 1; i < samples.length; i++) {
+      const next = colorOf(samples[i], i);
+
+      if (next !== color) {
+        DrawUtils.drawLine(ctx, map, run, { color, width: 4 });
+        run = [samples[i - 1]];
+        color = next;
+      }
+      run.push(samples[i]);
+    }
+
+    DrawUtils.drawLine(ctx, map, run, { color, width: 4 });
+  }
+
+  /**
+   * @private
+   */
+  drawMarker(ctx, map, latlng, color) {
+    const { x, y } = map.latLngToScreen(latlng);
+
+    ctx.fillStyle = color;
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  }
+
+  /**
+   * Mark the obstructing ridge with a triangle
+   * @private
+   */
+  drawRidge(ctx, map, ridge) {
+    const { x, y } = map.latLngToScreen(ridge);
+
+    ctx.fillStyle = LOS_COLORS.hidden;
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, y - 9);
+    ctx.lineTo(x + 8, y + 6);
+    ctx.lineTo(x - 8, y + 6);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+  }
+}
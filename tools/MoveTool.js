@@ -1,41 +1,68 @@
 // ============================================================================
 // tools/MoveTool.js
 // ============================================================================
+import { changeItemsCommand } from '../core/CommandHistory.js';
 
 export class MoveTool {
-  constructor(toolManager, map, hitDetector) {
+  constructor(toolManager, map, hitDetector, appState = null) {
     this.toolManager = toolManager;
     this.map = map;
     this.hitDetector = hitDetector;
+    this.appState = appState;
     this.isMoveTool = true;
 
-    this._target = null;
-    this._origin = null;
+    // Items being dragged, each with a snapshot of its original state
+    this._targets = [];
     this._start = null;
   }
 
+  /**
+   * Grab the item under the mouse
+   * @param {Object} latlng - { lat, lng }
+   * @returns {boolean} True if an item was grabbed (map should not pan)
+   */
   onMouseDown(latlng) {
     const tools = this.toolManager.getAllTools().filter(t => !t.isMoveTool);
-    const hit = this.hitDetector.pick(latlng, tools);
-    if (!hit) return;
+    const hit = this.hitDetector.pick(latlng, tools, item => this.isMovable(item));
+    if (!hit) return false;
 
-    this._target = hit;
-    this._origin = this.clone(hit);
+    // Dragging a selected item moves the whole selection
+    const selection = this.appState?.getSelection() || [];
+    const items = selection.includes(hit)
+      ? selection.filter(item => this.isMovable(item))
+      : [hit];
+
+    this._targets = items.map(item => ({ item, origin: this.clone(item) }));
     this._start = latlng;
+    return true;
   }
 
   onMouseMove(latlng) {
-    if (!this._target) return;
+    if (this._targets.length === 0) return;
 
     const dLat = latlng.lat - this._start.lat;
     const dLng = latlng.lng - this._start.lng;
 
-    this.applyDelta(this._target, this._origin, dLat, dLng);
+    for (const { item, origin } of this._targets) {
+      this.applyDelta(item, origin, dLat, dLng);
+    }
   }
 
   finish() {
-    this._target = null;
-    this._origin = null;
+    // Record the drag once it is complete
+    const history = this.appState?.history;
+
+    if (history) {
+      const changes = this._targets
+        .map(({ item, origin }) => ({ item, before: origin, after: this.clone(item) }))
+        .filter(c => JSON.stringify(c.after) !== JSON.stringify(c.before));
+
+      if (changes.length > 0) {
+        history.record(changeItemsCommand(changes, 'Move'));
+      }
+    }
+
+    this._targets = [];
     this._start = null;
   }
 
@@ -43,6 +70,15 @@ export class MoveTool {
     // Move tool doesn't draw anything
   }
 
+  /**
+   * Items on locked layers stay put
+   * @param {Object} item
+   * @returns {boolean}
+   */
+  isMovable(item) {
+    return !this.appState?.layers.isLocked(item);
+  }
+
   clone(obj) {
     return JSON.parse(JSON.stringify(obj));
   }
@@ -62,12 +98,19 @@ export class MoveTool {
       return;
     }
 
-    // Line or Polygon (has points array)
+    // Line or Polygon (has points array, polygons may have holes)
     if (target.points) {
       for (let i = 0; i < target.points.length; i++) {
         target.points[i].lat = origin.points[i].lat + dLat;
         target.points[i].lng = origin.points[i].lng + dLng;
       }
+
+      (target.holes || []).forEach((hole, h) => {
+        for (let i = 0; i < hole.length; i++) {
+          hole[i].lat = origin.holes[h][i].lat + dLat;
+          hole[i].lng = origin.holes[h][i].lng + dLng;
+        }
+      });
     }
   }
-}
\ No newline at end of file
+}
@@ -6,6 +6,8 @@ import { DrawUtils } from '../utils/drawing.js';
 import { getElevation } from '../utils/elevation.js';
 
 export class PointsTool extends BaseTool {
+  static propertyKeys = ['elevation', 'color', 'symbol'];
+
   constructor(styleManager, drawCallback) {
     super(styleManager);
     this.points = this.items; // Alias for clarity
@@ -13,7 +15,7 @@ export class PointsTool extends BaseTool {
   }
 
   static accepts(f) {
-    return f.geometry?.type === 'Point' && !f.properties?.type;
+    return f.geometry?.type === 'Point' && f.properties?.type !== 'text';
   }
 
   add(latlng) {
@@ -24,7 +26,7 @@ export class PointsTool extends BaseTool {
       ...this.getStyleSnapshot('points')
     };
 
-    this.points.push(point);
+    this.commitItem(point);
 
     // Fetch elevation asynchronously
     getElevation(point.lat, point.lng)
@@ -35,26 +37,26 @@ export class PointsTool extends BaseTool {
       .catch(() => {});
   }
 
-  draw(ctx, map) {
-    for (const point of this.points) {
+  drawItems(ctx, map, items) {
+    for (const point of items) {
       DrawUtils.drawPoint(ctx, map, point);
       DrawUtils.drawPointLabel(ctx, map, point);
     }
   }
 
   toGeoJSON() {
-    return this.points.map(p => ({
-      type: 'Feature',
-      geometry: {
+    return this.points.map(p => this.makeFeature(
+      p,
+      {
         type: 'Point',
         coordinates: [p.lng, p.lat]
       },
-      properties: {
+      {
         elevation: p.elev,
         color: p.color,
         symbol: p.symbol
       }
-    }));
+    ));
   }
 
   fromGeoJSON(f) {
@@ -67,7 +69,8 @@ export class PointsTool extends BaseTool {
       lng,
       elev: f.properties?.elevation ?? null,
       color: f.properties?.color ?? 'black',
-      symbol: f.properties?.symbol ?? 'circle'
+      symbol: f.properties?.symbol ?? 'circle',
+      ...this.readMetadata(f)
     });
   }
 }
\ No newline at end of file
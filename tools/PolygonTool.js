@@ -2,14 +2,21 @@
 // tools/PolygonTool.js
 // ============================================================================
 import { BaseTool } from './BaseTool.js';
+import { changeItemsCommand } from '../core/CommandHistory.js';
 import { DrawUtils } from '../utils/drawing.js';
 import { GeoUtils } from '../utils/geometry.js';
+import { exportArea } from '../utils/units.js';
 
 export class PolygonTool extends BaseTool {
+  static propertyKeys = ['color', 'alpha', 'area', 'areaUnit'];
+
   constructor(styleManager) {
     super(styleManager);
     this.polygons = this.items; // Alias for clarity
     this._hover = null;
+
+    // When set, finished drafts become holes in the polygon that contains them
+    this.holeMode = false;
   }
 
   static accepts(f) {
@@ -29,39 +36,84 @@ export class PolygonTool extends BaseTool {
 
   finish() {
     if (this._draft?.points.length > 2) {
-      this.polygons.push(this._draft);
+      if (this.holeMode) {
+        this.addHole(this._draft.points);
+      } else {
+        this.commitItem(this._draft);
+      }
     }
     this._draft = null;
     this._hover = null;
   }
 
+  /**
+   * Cut a hole into the topmost editable polygon containing the ring
+   * @param {Array<Object>} ring - Hole vertices { lat, lng }
+   * @returns {boolean} True if a hole was added
+   */
+  addHole(ring) {
+    const target = [...this.polygons].reverse().find(poly =>
+      (!this.layers || this.layers.isEditable(poly)) &&
+      ring.every(p => GeoUtils.pointInPolygon(p, poly.points)) &&
+      !(poly.holes || []).some(hole => ring.some(p => GeoUtils.pointInPolygon(p, hole)))
+    );
+
+    if (!target) {
+      alert('Draw the hole inside an existing polygon');
+      return false;
+    }
+
+    const before = { holes: this.cloneRings(target.holes || []) };
+    target.holes = [...(target.holes || []), this.clonePoints(ring)];
+    const after = { holes: this.cloneRings(target.holes) };
+
+    this.history?.record(changeItemsCommand([{ item: target, before, after }], 'Add hole'));
+    return true;
+  }
+
+  /**
+   * @param {Array<Array<Object>>} rings
+   * @returns {Array<Array<Object>>}
+   */
+  cloneRings(rings) {
+    return rings.map(ring => this.clonePoints(ring));
+  }
+
   onMouseMove(latlng) {
     if (this._draft) this._hover = latlng;
   }
 
-  draw(ctx, map) {
+  drawItems(ctx, map, items) {
     // Draw finalized polygons
-    for (const poly of this.polygons) {
+    for (const poly of items) {
+      const holes = poly.holes || [];
+
       DrawUtils.drawPolygon(ctx, map, poly.points, {
         fillColor: poly.color,
         alpha: poly.alpha
-      });
+      }, holes);
 
       // Draw segment distances
       this.drawSegmentDistances(ctx, map, poly.points);
+      for (const hole of holes) {
+        this.drawSegmentDistances(ctx, map, hole);
+      }
 
       // Draw area label
-      this.drawAreaLabel(ctx, map, poly.points);
+      this.drawAreaLabel(ctx, map, poly.points, holes);
     }
+  }
 
+  drawDraft(ctx, map) {
     // Draw draft polygon with hover
     if (this._draft) {
       const pts = [...this._draft.points];
       if (this._hover) pts.push(this._hover);
 
+      // A hole draft is drawn as an outline only
       DrawUtils.drawPolygon(ctx, map, pts, {
         fillColor: this._draft.color,
-        alpha: this._draft.alpha
+        alpha: this.holeMode ? 0 : this._draft.alpha
       });
 
       // Draw segment distances for draft
@@ -145,12 +197,13 @@ export class PolygonTool extends BaseTool {
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {Object} map - Map instance
    * @param {Array} points - Polygon points
+   * @param {Array} holes - Interior rings, subtracted from the area
    */
-  drawAreaLabel(ctx, map, points) {
+  drawAreaLabel(ctx, map, points, holes = []) {
     if (points.length < 3) return;
 
     // Calculate area
-    const area = GeoUtils.polygonArea(points);
+    const area = GeoUtils.polygonArea(points, holes);
     const label = GeoUtils.formatArea(area);
 
     // Find center of polygon
@@ -192,35 +245,53 @@ export class PolygonTool extends BaseTool {
   }
 
   toGeoJSON() {
-    return this.polygons.map(p => ({
-      type: 'Feature',
-      geometry: {
-        type: 'Polygon',
-        coordinates: [[
-          ...p.points.map(pt => [pt.lng, pt.lat]),
-          [p.points[0].lng, p.points[0].lat]
-        ]]
-      },
-      properties: {
-        color: p.color,
-        alpha: p.alpha,
-        area: GeoUtils.polygonArea(p.points)
-      }
-    }));
+    return this.polygons.map(p => {
+      // Summary area in the selected area unit
+      const area = exportArea(GeoUtils.polygonArea(p.points, p.holes));
+
+      return this.makeFeature(
+        p,
+        {
+          type: 'Polygon',
+          // Exterior ring followed by holes, each closed
+          coordinates: [p.points, ...(p.holes || [])].map(ring => [
+            ...ring.map(pt => [pt.lng, pt.lat]),
+            [ring[0].lng, ring[0].lat]
+          ])
+        },
+        {
+          color: p.color,
+          alpha: p.alpha,
+          area: area.value,
+          areaUnit: area.unit
+        }
+      );
+    });
+  }
+
+  featureWarnings(f) {
+    const dropped = f.geometry.coordinates.slice(1).filter(ring => ring.length < 4).length;
+    return dropped > 0 ? [`${dropped} degenerate interior ring(s) ignored`] : [];
   }
 
   fromGeoJSON(f) {
     if (!PolygonTool.accepts(f)) return;
 
-    const ring = f.geometry.coordinates[0];
+    // Drop the closing position of each ring
+    const toPoints = ring => ring.slice(0, -1).map(c => ({
+      lng: c[0],
+      lat: c[1]
+    }));
+
+    const [outer, ...inner] = f.geometry.coordinates;
+    const holes = inner.filter(ring => ring.length >= 4).map(toPoints);
 
     this.polygons.push({
-      points: ring.slice(0, -1).map(c => ({
-        lng: c[0],
-        lat: c[1]
-      })),
+      points: toPoints(outer),
+      ...(holes.length > 0 && { holes }),
       color: f.properties?.color ?? 'green',
-      alpha: f.properties?.alpha ?? 0.25
+      alpha: f.properties?.alpha ?? 0.25,
+      ...this.readMetadata(f)
     });
   }
 }
\ No newline at end of file
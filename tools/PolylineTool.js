@@ -5,8 +5,11 @@ import { BaseTool } from './BaseTool.js';
 import { DrawUtils } from '../utils/drawing.js';
 import { GeoUtils } from '../utils/geometry.js';
 import { getElevation } from '../utils/elevation.js';
+import { exportDistance } from '../utils/units.js';
 
 export class PolylineTool extends BaseTool {
+  static propertyKeys = ['color', 'style', 'distance', 'distanceUnit', 'coordTimes'];
+
   constructor(styleManager) {
     super(styleManager);
     this.lines = this.items; // Alias for clarity
@@ -36,7 +39,7 @@ export class PolylineTool extends BaseTool {
 
   finish() {
     if (this._draft?.points.length > 1) {
-      this.lines.push(this._draft);
+      this.commitItem(this._draft);
     }
     this._draft = null;
     this._hover = null;
@@ -46,9 +49,9 @@ export class PolylineTool extends BaseTool {
     if (this._draft) this._hover = latlng;
   }
 
-  draw(ctx, map) {
+  drawItems(ctx, map, items) {
     // Draw finalized lines
-    for (const line of this.lines) {
+    for (const line of items) {
       DrawUtils.drawLine(ctx, map, line.points, {
         color: line.color,
         dashed: line.style === 'dashed'
@@ -57,7 +60,9 @@ export class PolylineTool extends BaseTool {
       // Draw distance label
       this.drawDistanceLabel(ctx, map, line.points);
     }
+  }
 
+  drawDraft(ctx, map) {
     // Draw draft line with hover
     if (this._draft) {
       const pts = [...this._draft.points];
@@ -134,31 +139,47 @@ export class PolylineTool extends BaseTool {
   }
 
   toGeoJSON() {
-    return this.lines.map(l => ({
-      type: 'Feature',
-      geometry: {
-        type: 'LineString',
-        coordinates: l.points.map(p => [p.lng, p.lat])
-      },
-      properties: {
-        color: l.color,
-        style: l.style,
-        distance: GeoUtils.polylineLength(l.points)
-      }
-    }));
+    return this.lines.map(l => {
+      // Summary length in the selected unit system
+      const distance = exportDistance(GeoUtils.polylineLength(l.points));
+
+      return this.makeFeature(
+        l,
+        {
+          type: 'LineString',
+          // Vertex elevation is written as the third coordinate when known
+          coordinates: l.points.map(p =>
+            p.elev != null ? [p.lng, p.lat, p.elev] : [p.lng, p.lat]
+          )
+        },
+        {
+          color: l.color,
+          style: l.style,
+          distance: distance.value,
+          distanceUnit: distance.unit,
+          ...(l.points.some(p => p.time) && {
+            coordTimes: l.points.map(p => p.time ?? null)
+          })
+        }
+      );
+    });
   }
 
   fromGeoJSON(f) {
     if (!PolylineTool.accepts(f)) return;
 
+    const times = f.properties?.coordTimes || [];
+
     this.lines.push({
-      points: f.geometry.coordinates.map(c => ({
+      points: f.geometry.coordinates.map((c, i) => ({
         lng: c[0],
         lat: c[1],
-        elev: null
+        elev: c[2] ?? null,
+        ...(times[i] && { time: times[i] })
       })),
       color: f.properties?.color || 'black',
-      style: f.properties?.style || 'solid'
+      style: f.properties?.style || 'solid',
+      ...this.readMetadata(f)
     });
   }
 }
\ No newline at end of file
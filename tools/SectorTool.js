@@ -4,11 +4,29 @@
 import { BaseTool } from './BaseTool.js';
 import { GeoUtils } from '../utils/geometry.js';
 import { getElevation } from '../utils/elevation.js';
+import { exportArea } from '../utils/units.js';
+import { analyzeViewshed, sampleViewshedTerrain } from '../utils/visibility.js';
+
+// Viewsheds are recomputed once a sector has stopped changing for this long (ms)
+const VIEWSHED_DELAY = 400;
 
 export class SectorTool extends BaseTool {
-  constructor(styleManager) {
+  static propertyKeys = [
+    'type', 'center', 'radius', 'bearing', 'angle', 'elevation', 'color', 'area', 'areaUnit'
+  ];
+
+  constructor(styleManager, drawCallback) {
     super(styleManager);
     this.sectors = this.items; // Alias for clarity
+    this.drawCallback = drawCallback;
+
+    // Terrain viewshed shading for finished sectors
+    this.viewshed = { enabled: false, observerHeight: 2 };
+
+    // Sector → { key, state: 'pending' | 'loading' | 'done', terrain, height, result }
+    // Terrain is kept so a new observer height only re-runs the analysis
+    this._viewsheds = new Map();
+    this._viewshedTimer = null;
   }
 
   static accepts(f) {
@@ -42,7 +60,7 @@ export class SectorTool extends BaseTool {
     }
 
     // Second click: finalize sector
-    this.sectors.push(this._draft);
+    this.commitItem(this._draft);
     this._draft = null;
   }
 
@@ -54,13 +72,16 @@ export class SectorTool extends BaseTool {
     this._draft.bearing = GeoUtils.bearing(c, latlng);
   }
 
-  draw(ctx, map) {
+  drawItems(ctx, map, items) {
     // Draw finalized sectors
-    for (const sector of this.sectors) {
+    for (const sector of items) {
       this.drawSector(ctx, map, sector);
+      if (this.viewshed.enabled) this.drawViewshed(ctx, map, sector);
       this.drawSectorMeasurements(ctx, map, sector);
     }
+  }
 
+  drawDraft(ctx, map) {
     // Draw draft sector
     if (this._draft && this._draft.radius > 0) {
       this.drawSector(ctx, map, this._draft);
@@ -95,6 +116,121 @@ export class SectorTool extends BaseTool {
     ctx.stroke();
   }
 
+  // ==========================================================================
+  // VIEWSHED
+  // ==========================================================================
+
+  /**
+   * Turn viewshed shading on or off and set the observer height
+   * @param {Object} options - { enabled, observerHeight } (meters above the center's ground)
+   */
+  setViewshed(options) {
+    Object.assign(this.viewshed, options);
+  }
+
+  /**
+   * Shade the cells of a sector hidden from its center
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} map - Map instance
+   * @param {Object} sector - Sector object
+   */
+  drawViewshed(ctx, map, sector) {
+    const result = this.getViewshed(sector);
+    if (!result) return;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.beginPath();
+
+    for (const ray of result.rays) {
+      // Merge runs of hidden cells along the ray into one quad
+      let start = null;
+
+      ray.cells.forEach((cell, i) => {
+        const hidden = cell.visible === false;
+        if (hidden && start === null) start = cell.near;
+
+        const last = i === ray.cells.length - 1;
+        if (start !== null && (!hidden || last)) {
+          const end = hidden ? cell.far : cell.near;
+          this.traceCell(ctx, map, sector.center, start, end, ray.from, ray.to);
+          start = null;
+        }
+      });
+    }
+
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Add one polar cell to the current path
+   * @private
+   */
+  traceCell(ctx, map, center, near, far, from, to) {
+    const corners = [
+      GeoUtils.project(center, near, from),
+      GeoUtils.project(center, far, from),
+      GeoUtils.project(center, far, to),
+      GeoUtils.project(center, near, to)
+    ].map(p => map.latLngToScreen(p));
+
+    ctx.moveTo(corners[0].x, corners[0].y);
+    for (const p of corners.slice(1)) ctx.lineTo(p.x, p.y);
+    ctx.closePath();
+  }
+
+  /**
+   * Viewshed of a sector, scheduling a terrain lookup when it is missing or stale
+   * @param {Object} sector - Sector object
+   * @returns {Object|null} Result of analyzeViewshed, once terrain is available
+   */
+  getViewshed(sector) {
+    const key = JSON.stringify([sector.center, sector.radius, sector.bearing, sector.angle]);
+    const { observerHeight } = this.viewshed;
+
+    const entry = this._viewsheds.get(sector);
+    if (entry?.key === key) {
+      if (entry.terrain && entry.height !== observerHeight) {
+        entry.result = analyzeViewshed(entry.terrain, observerHeight);
+        entry.height = observerHeight;
+      }
+      return entry.result;
+    }
+
+    this._viewsheds.set(sector, { key, state: 'pending', terrain: null, height: null, result: null });
+
+    // Wait for edits and drags to settle before looking up terrain
+    clearTimeout(this._viewshedTimer);
+    this._viewshedTimer = setTimeout(() => this.computeViewsheds(), VIEWSHED_DELAY);
+    return null;
+  }
+
+  /**
+   * Compute all pending viewsheds, one sector at a time
+   */
+  async computeViewsheds() {
+    for (const [sector, entry] of this._viewsheds) {
+      if (!this.sectors.includes(sector)) {
+        this._viewsheds.delete(sector);
+        continue;
+      }
+      if (entry.state !== 'pending') continue;
+
+      entry.state = 'loading';
+      const terrain = await sampleViewshedTerrain(sector);
+
+      // Skip results for sectors that changed meanwhile
+      if (this._viewsheds.get(sector) !== entry) continue;
+
+      entry.state = 'done';
+      entry.terrain = terrain;
+      entry.height = this.viewshed.observerHeight;
+      entry.result = terrain ? analyzeViewshed(terrain, entry.height) : null;
+      this.drawCallback?.();
+    }
+  }
+
   /**
    * Draw all measurements for the sector
    * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -126,8 +262,9 @@ export class SectorTool extends BaseTool {
     // Draw center line label
     this.drawCenterLineLabel(ctx, map, center, centerLine, radius);
 
-    // Draw radius label at center
-    this.drawRadiusLabel(ctx, map, center, radius, angle);
+    // Draw radius label at center, with the share of the sector in view
+    const viewshed = this.viewshed.enabled ? this._viewsheds.get(sector)?.result : null;
+    this.drawRadiusLabel(ctx, map, center, radius, angle, viewshed?.visibleFraction ?? null);
   }
 
   /**
@@ -253,8 +390,9 @@ export class SectorTool extends BaseTool {
    * @param {Object} center - Center point
    * @param {number} radius - Radius in meters
    * @param {number} angle - Angle in degrees
+   * @param {number|null} visibleFraction - Share of the sector in view, if known
    */
-  drawRadiusLabel(ctx, map, center, radius, angle) {
+  drawRadiusLabel(ctx, map, center, radius, angle, visibleFraction = null) {
     const { x, y } = map.latLngToScreen(center);
 
     // Calculate sector area (portion of circle)
@@ -263,7 +401,9 @@ export class SectorTool extends BaseTool {
 
     const radiusText = `R: ${GeoUtils.formatDistance(radius, 1)}`;
     const areaText = `Area: ${GeoUtils.formatArea(sectorArea, 1)}`;
-    const angleText = `${angle}°`;
+    const angleText = visibleFraction !== null
+      ? `${angle}° · ${Math.round(visibleFraction * 100)}% seen`
+      : `${angle}°`;
 
     ctx.font = 'bold 12px monospace';
     ctx.textBaseline = 'middle';
@@ -297,23 +437,44 @@ export class SectorTool extends BaseTool {
   }
 
   toGeoJSON() {
-    return this.sectors.map(s => ({
-      type: 'Feature',
-      geometry: {
-        type: 'Polygon',
-        coordinates: [GeoUtils.sectorCoordinates(s)]
-      },
-      properties: {
-        type: 'sector',
-        center: s.center,
-        radius: s.radius,
-        bearing: s.bearing,
-        angle: s.angle,
-        elevation: s.elev,
-        color: s.color,
-        area: Math.PI * s.radius * s.radius * (s.angle / 360)
-      }
-    }));
+    return this.sectors.map(s => {
+      // Radius stays in meters (it defines the shape); area is a summary
+      const area = exportArea(Math.PI * s.radius * s.radius * (s.angle / 360));
+
+      return this.makeFeature(
+        s,
+        {
+          type: 'Polygon',
+          coordinates: [GeoUtils.sectorCoordinates(s)]
+        },
+        {
+          type: 'sector',
+          center: s.center,
+          radius: s.radius,
+          bearing: s.bearing,
+          angle: s.angle,
+          elevation: s.elev,
+          color: s.color,
+          area: area.value,
+          areaUnit: area.unit
+        }
+      );
+    });
+  }
+
+  validateFeature(f) {
+    const error = super.validateFeature(f);
+    if (error) return error;
+
+    const { center, radius, bearing, angle } = f.properties;
+    const missing = [
+      !this.isValidLatLng(center) && 'center',
+      !(Number.isFinite(radius) && radius > 0) && 'radius',
+      !Number.isFinite(bearing) && 'bearing',
+      !Number.isFinite(angle) && 'angle'
+    ].filter(Boolean);
+
+    return missing.length ? `Missing or invalid properties: ${missing.join(', ')}` : null;
   }
 
   fromGeoJSON(f) {
@@ -325,7 +486,8 @@ export class SectorTool extends BaseTool {
       bearing: f.properties.bearing,
       angle: f.properties.angle,
       elev: f.properties.elevation,
-      color: f.properties?.color || 'black'
+      color: f.properties?.color || 'black',
+      ...this.readMetadata(f)
     });
   }
 }
\ No newline at end of file
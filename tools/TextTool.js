@@ -5,6 +5,8 @@ import { BaseTool } from './BaseTool.js';
 import { DrawUtils } from '../utils/drawing.js';
 
 export class TextTool extends BaseTool {
+  static propertyKeys = ['type', 'text', 'color', 'size'];
+
   constructor(styleManager) {
     super(styleManager);
     this.texts = this.items; // Alias for clarity
@@ -25,17 +27,19 @@ export class TextTool extends BaseTool {
 
   finish() {
     if (this._draft && this._draft.text.trim() !== '') {
-      this.texts.push(this._draft);
+      this.commitItem(this._draft);
     }
     this._draft = null;
   }
 
-  draw(ctx, map) {
+  drawItems(ctx, map, items) {
     // Draw finalized texts
-    for (const text of this.texts) {
+    for (const text of items) {
       DrawUtils.drawText(ctx, map, text);
     }
+  }
 
+  drawDraft(ctx, map) {
     // Draw draft text
     if (this._draft) {
       DrawUtils.drawText(ctx, map, this._draft, true);
@@ -43,19 +47,27 @@ export class TextTool extends BaseTool {
   }
 
   toGeoJSON() {
-    return this.texts.map(t => ({
-      type: 'Feature',
-      geometry: {
+    return this.texts.map(t => this.makeFeature(
+      t,
+      {
         type: 'Point',
         coordinates: [t.lng, t.lat]
       },
-      properties: {
+      {
         type: 'text',
         text: t.text,
         color: t.color,
         size: t.size
       }
-    }));
+    ));
+  }
+
+  validateFeature(f) {
+    const error = super.validateFeature(f);
+    if (error) return error;
+
+    const text = f.properties.text;
+    return typeof text === 'string' && text !== '' ? null : 'Missing properties: text';
   }
 
   fromGeoJSON(f) {
@@ -68,7 +80,8 @@ export class TextTool extends BaseTool {
       lng,
       text: f.properties.text,
       color: f.properties.color || 'black',
-      size: f.properties.size || 14
+      size: f.properties.size || 14,
+      ...this.readMetadata(f)
     });
   }
 }
\ No newline at end of file
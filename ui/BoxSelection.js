@@ -0,0 +1,112 @@
+// ============================================================================
+// ui/BoxSelection.js
+// Rubber-band (drag rectangle) selection of items
+// ============================================================================
+
+export class BoxSelection {
+  constructor(appState, map, hitDetector) {
+    this.appState = appState;
+    this.map = map;
+    this.hitDetector = hitDetector;
+
+    // Drag below this many pixels counts as a click, not a box
+    this.minSizePx = 4;
+
+    this._start = null;
+    this._end = null;
+    this._suppressClick = false;
+  }
+
+  /**
+   * Start a box at the mouse position
+   * @param {Object} latlng - { lat, lng }
+   */
+  start(latlng) {
+    this._start = latlng;
+    this._end = latlng;
+  }
+
+  /**
+   * Update the free corner of the box
+   * @param {Object} latlng - { lat, lng }
+   */
+  update(latlng) {
+    if (this._start) this._end = latlng;
+  }
+
+  /**
+   * Finish the box and select everything inside it
+   * @returns {number} Number of selected items (0 if the box was too small)
+   */
+  finish() {
+    if (!this._start) return 0;
+
+    const start = this._start;
+    const end = this._end;
+    this._start = null;
+    this._end = null;
+
+    if (!this.isLargeEnough(start, end)) return 0;
+
+    const bounds = {
+      minLat: Math.min(start.lat, end.lat),
+      maxLat: Math.max(start.lat, end.lat),
+      minLng: Math.min(start.lng, end.lng),
+      maxLng: Math.max(start.lng, end.lng)
+    };
+
+    const hits = this.hitDetector.pickInBounds(bounds, this.appState.getDrawingTools());
+    this.appState.select(hits.map(hit => hit.item));
+
+    // The browser fires a click after mouseup; it must not alter the selection
+    this._suppressClick = true;
+
+    return hits.length;
+  }
+
+  /**
+   * Check (and reset) whether the next click should be ignored
+   * @returns {boolean}
+   */
+  consumeClick() {
+    const suppress = this._suppressClick;
+    this._suppressClick = false;
+    return suppress;
+  }
+
+  /**
+   * @returns {boolean} True while a box is being dragged
+   */
+  isActive() {
+    return this._start !== null;
+  }
+
+  /**
+   * Draw the selection rectangle
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  draw(ctx) {
+    if (!this._start) return;
+
+    const a = this.map.latLngToScreen(this._start);
+    const b = this.map.latLngToScreen(this._end);
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(255, 152, 0, 0.1)';
+    ctx.strokeStyle = '#ff9800';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.fillRect(a.x, a.y, b.x - a.x, b.y - a.y);
+    ctx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+    ctx.restore();
+  }
+
+  /**
+   * @private
+   */
+  isLargeEnough(start, end) {
+    const a = this.map.latLngToScreen(start);
+    const b = this.map.latLngToScreen(end);
+    return Math.abs(b.x - a.x) >= this.minSizePx || Math.abs(b.y - a.y) >= this.minSizePx;
+  }
+}
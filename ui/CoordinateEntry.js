@@ -0,0 +1,182 @@
+// ============================================================================
+// ui/CoordinateEntry.js
+// Dialog that feeds typed coordinates to the active drawing tool as clicks
+// ============================================================================
+
+import { parseCoordinate, formatCoordinate } from '../utils/coordinates.js';
+import { GeoUtils } from '../utils/geometry.js';
+
+export class CoordinateEntry {
+  constructor(appState, renderCallback) {
+    this.appState = appState;
+    this.renderCallback = renderCallback;
+    this.elements = {};
+  }
+
+  /**
+   * Bind the dialog controls
+   */
+  init() {
+    this.elements = {
+      panel: document.getElementById('coordEntry'),
+      openBtn: document.getElementById('coordEntryOpen'),
+      closeBtn: document.getElementById('coordEntryClose'),
+      input: document.getElementById('coordEntryInput'),
+      preview: document.getElementById('coordEntryPreview'),
+      sectorFields: document.getElementById('coordEntrySector'),
+      radius: document.getElementById('coordEntryRadius'),
+      bearing: document.getElementById('coordEntryBearing'),
+      addBtn: document.getElementById('coordEntryAdd'),
+      finishBtn: document.getElementById('coordEntryFinish')
+    };
+
+    const { panel, openBtn, closeBtn, input, addBtn, finishBtn } = this.elements;
+    if (!panel) return;
+
+    openBtn?.addEventListener('click', () => this.toggle());
+    closeBtn?.addEventListener('click', () => this.close());
+    addBtn?.addEventListener('click', () => this.add());
+    finishBtn?.addEventListener('click', () => this.finish());
+
+    input?.addEventListener('input', () => this.updatePreview());
+    input?.addEventListener('keydown', e => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+
+      // Shift+Enter adds the position and finishes the shape
+      this.add();
+      if (e.shiftKey) this.finish();
+    });
+
+    this.appState.eventBus.on('mode:changed', () => this.updateFields());
+    this.updateFields();
+  }
+
+  /**
+   * Show or hide the dialog
+   */
+  toggle() {
+    if (this.elements.panel?.style.display === 'block') {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Show the dialog and focus the coordinate input
+   */
+  open() {
+    const { panel, input } = this.elements;
+    if (!panel) return;
+
+    panel.style.display = 'block';
+    this.updateFields();
+    input?.focus();
+  }
+
+  /**
+   * Hide the dialog
+   */
+  close() {
+    if (this.elements.panel) this.elements.panel.style.display = 'none';
+  }
+
+  /**
+   * Send the typed position to the active tool as a click
+   * In sector mode a typed radius places the edge as the second click
+   * @returns {boolean} True if the position was accepted
+   */
+  add() {
+    const { input } = this.elements;
+    const latlng = parseCoordinate(input.value);
+
+    if (!latlng) {
+      input.setCustomValidity('Unrecognised coordinate');
+      input.reportValidity();
+      return false;
+    }
+    input.setCustomValidity('');
+
+    const tool = this.getDrawingTool();
+    if (!tool) {
+      alert('Choose a drawing tool first');
+      return false;
+    }
+
+    this.click(tool, latlng);
+
+    // A typed radius completes a sector started at this center
+    const radius = parseFloat(this.elements.radius?.value);
+    if (this.isSectorMode() && tool._draft && radius > 0) {
+      const bearing = parseFloat(this.elements.bearing?.value) || 0;
+      this.click(tool, GeoUtils.project(latlng, radius, bearing));
+    }
+
+    input.value = '';
+    this.updatePreview();
+    this.renderCallback();
+    return true;
+  }
+
+  /**
+   * Finish the shape being drawn (like a double click)
+   */
+  finish() {
+    this.getDrawingTool()?.finish?.();
+    this.renderCallback();
+  }
+
+  /**
+   * Move the "mouse" to a position and click there
+   * @private
+   */
+  click(tool, latlng) {
+    tool.onMouseMove?.(latlng);
+    tool.add(latlng);
+  }
+
+  /**
+   * Active tool, if it draws new items
+   * @private
+   */
+  getDrawingTool() {
+    const tool = this.appState.getActiveTool();
+    return this.appState.getDrawingTools().includes(tool) ? tool : null;
+  }
+
+  /**
+   * @private
+   */
+  isSectorMode() {
+    return this.appState.getMode() === 'sector';
+  }
+
+  /**
+   * Show radius and bearing only for sectors
+   * @private
+   */
+  updateFields() {
+    const { sectorFields } = this.elements;
+    if (sectorFields) sectorFields.style.display = this.isSectorMode() ? 'flex' : 'none';
+  }
+
+  /**
+   * Echo the parsed position in the selected display format
+   * @private
+   */
+  updatePreview() {
+    const { input, preview } = this.elements;
+    if (!input || !preview) return;
+
+    input.setCustomValidity('');
+
+    if (!input.value.trim()) {
+      preview.textContent = '';
+      return;
+    }
+
+    const latlng = parseCoordinate(input.value);
+    preview.textContent = latlng ? `→ ${formatCoordinate(latlng)}` : 'Not recognised';
+  }
+}
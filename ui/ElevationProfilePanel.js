@@ -0,0 +1,360 @@
+// ============================================================================
+// ui/ElevationProfilePanel.js
+// Elevation profile chart and statistics for the selected line
+// ============================================================================
+
+import { getElevationProfile, getElevationStats } from '../utils/elevation.js';
+import { PolylineTool } from '../tools/PolylineTool.js';
+import { GeoUtils } from '../utils/geometry.js';
+import { formatElevation } from '../utils/units.js';
+
+// Number of evenly spaced samples along the line
+const PROFILE_SAMPLES = 100;
+
+// Chart padding in pixels: room for axis labels
+const PAD = { left: 52, right: 10, top: 10, bottom: 22 };
+
+// Map hover within this many pixels of the line moves the chart cursor
+const MAP_HOVER_PX = 16;
+
+export class ElevationProfilePanel {
+  constructor(appState, renderCallback) {
+    this.appState = appState;
+    this.renderCallback = renderCallback;
+    this.elements = {};
+
+    // Line being profiled and its vertices when the profile was loaded
+    this.line = null;
+    this._lineKey = null;
+
+    // [{ lat, lng, elev, distance }] and statistics of the loaded profile
+    this.profile = [];
+    this.stats = null;
+
+    // Index of the profile sample under the cursor (chart or map)
+    this.hoverIndex = null;
+
+    // Incremented per load so stale responses are ignored
+    this._request = 0;
+  }
+
+  /**
+   * Bind the panel and follow the selection
+   */
+  init() {
+    this.elements = {
+      panel: document.getElementById('profile'),
+      chart: document.getElementById('profileChart'),
+      stats: document.getElementById('profileStats'),
+      closeBtn: document.getElementById('profileClose')
+    };
+
+    const { panel, chart, closeBtn } = this.elements;
+    if (!panel || !chart) return;
+
+    closeBtn?.addEventListener('click', () => this.hide());
+
+    chart.addEventListener('mousemove', e => {
+      this.setHoverIndex(this.indexAtChartX(e.offsetX));
+    });
+    chart.addEventListener('mouseleave', () => this.setHoverIndex(null));
+
+    const bus = this.appState.eventBus;
+    bus.on('selection:changed', () => this.sync());
+    bus.on('history:changed', () => this.sync());
+    bus.on('units:changed', () => this.render());
+    bus.on('elevation:source:changed', () => {
+      if (this.line) this.load(this.line);
+    });
+  }
+
+  /**
+   * Show the profile of the single selected line, reloading when its vertices change
+   */
+  sync() {
+    const line = this.getSelectedLine();
+
+    if (!line) {
+      this.hide();
+      return;
+    }
+
+    const key = JSON.stringify(line.points.map(p => [p.lat, p.lng]));
+    if (line === this.line && key === this._lineKey) return;
+
+    this.line = line;
+    this._lineKey = key;
+    this.load(line);
+  }
+
+  /**
+   * Fetch the profile of a line and render it
+   * @param {Object} line - Polyline item
+   */
+  async load(line) {
+    const request = ++this._request;
+
+    this.profile = [];
+    this.stats = null;
+    this.hoverIndex = null;
+    this.show();
+    this.setStatus('Loading elevation…');
+    this.render();
+
+    const profile = await getElevationProfile(line.points, PROFILE_SAMPLES);
+    if (request !== this._request) return;
+
+    if (!profile.some(p => p.elev !== null)) {
+      this.setStatus('Elevation unavailable');
+      return;
+    }
+
+    this.profile = profile;
+    this.stats = getElevationStats(profile);
+    this.render();
+  }
+
+  /**
+   * Show the panel
+   */
+  show() {
+    if (this.elements.panel) this.elements.panel.style.display = 'block';
+  }
+
+  /**
+   * Hide the panel and forget the profile
+   */
+  hide() {
+    this._request++;
+    this.line = null;
+    this._lineKey = null;
+    this.profile = [];
+    this.stats = null;
+
+    if (this.elements.panel) this.elements.panel.style.display = 'none';
+    this.setHoverIndex(null);
+  }
+
+  // ==========================================================================
+  // HOVER
+  // ==========================================================================
+
+  /**
+   * Move the chart cursor and map marker to a profile sample
+   * @param {number|null} index
+   */
+  setHoverIndex(index) {
+    if (index === this.hoverIndex) return;
+
+    this.hoverIndex = index;
+    this.render();
+    this.renderCallback();
+  }
+
+  /**
+   * Follow the mouse on the map: hovering near the line moves the chart cursor
+   * The caller redraws the map afterwards
+   * @param {Object} latlng - { lat, lng }
+   */
+  hoverMap(latlng) {
+    if (this.profile.length === 0) return;
+
+    const map = this.appState.map;
+    const mousePx = map.latLngToScreen(latlng);
+    let best = null;
+
+    this.profile.forEach((sample, index) => {
+      const px = map.latLngToScreen(sample);
+      const dist = Math.hypot(px.x - mousePx.x, px.y - mousePx.y);
+      if (dist < MAP_HOVER_PX && (!best || dist < best.dist)) best = { index, dist };
+    });
+
+    const index = best?.index ?? null;
+    if (index === this.hoverIndex) return;
+
+    this.hoverIndex = index;
+    this.render();
+  }
+
+  /**
+   * Profile sample nearest to a chart x position
+   * @private
+   */
+  indexAtChartX(x) {
+    if (this.profile.length === 0) return null;
+
+    const { width } = this.elements.chart;
+    const total = this.profile[this.profile.length - 1].distance;
+    const target = ((x - PAD.left) / (width - PAD.left - PAD.right)) * total;
+
+    let best = 0;
+    this.profile.forEach((sample, index) => {
+      if (Math.abs(sample.distance - target) < Math.abs(this.profile[best].distance - target)) {
+        best = index;
+      }
+    });
+
+    return best;
+  }
+
+  // ==========================================================================
+  // DRAWING
+  // ==========================================================================
+
+  /**
+   * Draw the hover marker on the map canvas
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {MapView} map - Map instance
+   */
+  draw(ctx, map) {
+    const sample = this.profile[this.hoverIndex];
+    if (!sample) return;
+
+    const { x, y } = map.latLngToScreen(sample);
+
+    ctx.save();
+    ctx.fillStyle = '#e91e63';
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * Render the chart and statistics
+   */
+  render() {
+    const { chart } = this.elements;
+    if (!chart) return;
+
+    const ctx = chart.getContext('2d');
+    ctx.clearRect(0, 0, chart.width, chart.height);
+
+    const samples = this.profile.filter(p => p.elev !== null);
+    if (samples.length < 2) return;
+
+    const total = this.profile[this.profile.length - 1].distance;
+    const min = Math.min(...samples.map(p => p.elev));
+    const max = Math.max(...samples.map(p => p.elev));
+    const span = Math.max(max - min, 1);
+
+    const w = chart.width - PAD.left - PAD.right;
+    const h = chart.height - PAD.top - PAD.bottom;
+    const toX = d => PAD.left + (total > 0 ? (d / total) * w : 0);
+    const toY = e => PAD.top + h - ((e - min) / span) * h;
+
+    this.drawAxes(ctx, { min, max, total, w, h });
+
+    // Filled profile
+    ctx.beginPath();
+    ctx.moveTo(toX(samples[0].distance), PAD.top + h);
+    for (const p of samples) ctx.lineTo(toX(p.distance), toY(p.elev));
+    ctx.lineTo(toX(samples[samples.length - 1].distance), PAD.top + h);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(76, 175, 80, 0.3)';
+    ctx.fill();
+
+    ctx.beginPath();
+    samples.forEach((p, i) => {
+      if (i === 0) ctx.moveTo(toX(p.distance), toY(p.elev));
+      else ctx.lineTo(toX(p.distance), toY(p.elev));
+    });
+    ctx.strokeStyle = '#2e7d32';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    this.drawCursor(ctx, toX, toY, h);
+    this.renderStats(total);
+  }
+
+  /**
+   * Draw axis frame and min/max/distance labels
+   * @private
+   */
+  drawAxes(ctx, { min, max, total, w, h }) {
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(PAD.left, PAD.top, w, h);
+
+    ctx.fillStyle = '#333';
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatElevation(max), PAD.left - 4, PAD.top);
+    ctx.fillText(formatElevation(min), PAD.left - 4, PAD.top + h);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText('0', PAD.left, PAD.top + h + 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(GeoUtils.formatDistance(total, 1), PAD.left + w, PAD.top + h + 4);
+  }
+
+  /**
+   * Draw the hover cursor with its distance and elevation
+   * @private
+   */
+  drawCursor(ctx, toX, toY, h) {
+    const sample = this.profile[this.hoverIndex];
+    if (!sample || sample.elev === null) return;
+
+    const x = toX(sample.distance);
+    const y = toY(sample.elev);
+
+    ctx.strokeStyle = '#e91e63';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, PAD.top);
+    ctx.lineTo(x, PAD.top + h);
+    ctx.stroke();
+
+    ctx.fillStyle = '#e91e63';
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, Math.PI * 2);
+    ctx.fill();
+
+    const label = `${GeoUtils.formatDistance(sample.distance, 1)} · ${formatElevation(sample.elev)}`;
+    ctx.font = '11px monospace';
+    ctx.textBaseline = 'top';
+    ctx.textAlign = x > PAD.left + 150 ? 'right' : 'left';
+    ctx.fillText(label, x + (ctx.textAlign === 'right' ? -6 : 6), PAD.top + 2);
+  }
+
+  /**
+   * Fill in the statistics line
+   * @private
+   */
+  renderStats(total) {
+    if (!this.stats) return;
+
+    const { min, max, gain, loss, avgGrade } = this.stats;
+    this.setStatus(
+      `Length ${GeoUtils.formatDistance(total, 2)} · ` +
+      `Min ${formatElevation(min)} · Max ${formatElevation(max)} · ` +
+      `Ascent ${formatElevation(gain)} · Descent ${formatElevation(loss)} · ` +
+      `Avg grade ${avgGrade}%`
+    );
+  }
+
+  /**
+   * @private
+   */
+  setStatus(text) {
+    if (this.elements.stats) this.elements.stats.textContent = text;
+  }
+
+  /**
+   * The selected item, if it is exactly one line
+   * @private
+   */
+  getSelectedLine() {
+    const selection = this.appState.getSelection();
+    if (selection.length !== 1) return null;
+
+    const lineTool = this.appState.getDrawingTools().find(tool => tool instanceof PolylineTool);
+    return lineTool?.lines.includes(selection[0]) ? selection[0] : null;
+  }
+}
@@ -0,0 +1,108 @@
+// ============================================================================
+// ui/ImportReportPanel.js
+// Dismissible panel summarising the last file import
+// ============================================================================
+
+// Longest list of skipped features or warnings shown in full
+const MAX_ROWS = 50;
+
+export class ImportReportPanel {
+  constructor(appState) {
+    this.appState = appState;
+    this.panel = null;
+    this.body = null;
+  }
+
+  /**
+   * Bind the close button and listen for imports
+   */
+  init() {
+    this.panel = document.getElementById('importReport');
+    this.body = document.getElementById('importReportBody');
+
+    document.getElementById('importReportClose')
+      ?.addEventListener('click', () => this.hide());
+
+    this.appState.eventBus.on('import:complete', ({ report }) => {
+      if (report) this.show(report);
+    });
+  }
+
+  /**
+   * Render a report and show the panel
+   * @param {ImportReport} report
+   */
+  show(report) {
+    if (!this.panel || !this.body) return;
+
+    this.body.innerHTML = '';
+    this.body.appendChild(this.paragraph(report.summary(), 'import-summary'));
+
+    if (report.errors.length > 0) {
+      this.section('Errors', report.errors, 'import-error');
+    }
+
+    const counts = Object.entries(report.byTool).map(([tool, n]) => `${tool}: ${n}`);
+    if (counts.length > 0) {
+      this.section('Imported', counts);
+    }
+
+    if (report.skipped.length > 0) {
+      this.section(
+        'Skipped',
+        report.skipped.map(({ index, id, reason }) =>
+          `Feature ${index + 1}${id != null ? ` (id ${id})` : ''}: ${reason}`
+        ),
+        'import-error'
+      );
+    }
+
+    if (report.warnings.length > 0) {
+      this.section('Warnings', report.warnings, 'import-warning');
+    }
+
+    this.panel.style.display = 'block';
+  }
+
+  /**
+   * Hide the panel
+   */
+  hide() {
+    if (this.panel) this.panel.style.display = 'none';
+  }
+
+  /**
+   * Append a titled list, truncated to MAX_ROWS entries
+   * @private
+   */
+  section(title, rows, className = '') {
+    this.body.appendChild(this.paragraph(`${title} (${rows.length})`, 'import-title'));
+
+    const list = document.createElement('ul');
+    if (className) list.className = className;
+
+    for (const row of rows.slice(0, MAX_ROWS)) {
+      const li = document.createElement('li');
+      li.textContent = row;
+      list.appendChild(li);
+    }
+
+    if (rows.length > MAX_ROWS) {
+      const li = document.createElement('li');
+      li.textContent = `… and ${rows.length - MAX_ROWS} more`;
+      list.appendChild(li);
+    }
+
+    this.body.appendChild(list);
+  }
+
+  /**
+   * @private
+   */
+  paragraph(text, className) {
+    const p = document.createElement('p');
+    p.className = className;
+    p.textContent = text;
+    return p;
+  }
+}
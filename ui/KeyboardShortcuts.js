@@ -3,6 +3,8 @@
 // Handles keyboard shortcuts for tool switching and actions
 // ============================================================================
 
+import { copyCoordinate } from '../utils/coordinates.js';
+
 export class KeyboardShortcuts {
   constructor(appState, renderCallback) {
     this.appState = appState;
@@ -57,6 +59,7 @@ export class KeyboardShortcuts {
   handleKey(key, e) {
     // STOP DRAWING (finish current operation)
     if (key === 'enter' || key === 'escape') {
+      if (key === 'escape') this.appState.clearSelection();
       this.stopDrawing();
       return true;
     }
@@ -69,7 +72,9 @@ export class KeyboardShortcuts {
       'l': 'line',
       'o': 'polygon',
       't': 'text',
+      'i': 'los',
       'm': 'move',
+      'v': 'edit',
       'd': 'delete'
     };
 
@@ -78,8 +83,8 @@ export class KeyboardShortcuts {
       return true;
     }
 
-    // UNDO (Ctrl+Z) - for future implementation
-    if ((e.ctrlKey || e.metaKey) && key === 'z') {
+    // UNDO (Ctrl+Z)
+    if ((e.ctrlKey || e.metaKey) && !e.shiftKey && key === 'z') {
       this.undo();
       return true;
     }
@@ -90,18 +95,24 @@ export class KeyboardShortcuts {
       return true;
     }
 
-    // DELETE selected item (Delete or Backspace)
-    if (key === 'delete' || key === 'backspace') {
-      this.deleteSelected();
-      return true;
-    }
-
     // CLEAR ALL (Ctrl+Shift+Delete)
     if ((e.ctrlKey || e.metaKey) && e.shiftKey && key === 'delete') {
       this.clearAll();
       return true;
     }
 
+    // COPY coordinates of the selected item (C)
+    if (!e.ctrlKey && !e.metaKey && key === 'c') {
+      this.copySelected();
+      return true;
+    }
+
+    // DELETE selected items (Delete or Backspace)
+    if (key === 'delete' || key === 'backspace') {
+      this.deleteSelected();
+      return true;
+    }
+
     return false;
   }
 
@@ -118,34 +129,55 @@ export class KeyboardShortcuts {
   }
 
   /**
-   * Undo last action (placeholder for future implementation)
+   * Undo last action
    */
   undo() {
-    console.log('Undo not yet implemented');
-    // TODO: Implement undo/redo system
+    if (this.appState.history.undo()) {
+      this.renderCallback();
+    }
   }
 
   /**
-   * Redo last undone action (placeholder)
+   * Redo last undone action
    */
   redo() {
-    console.log('Redo not yet implemented');
-    // TODO: Implement undo/redo system
+    if (this.appState.history.redo()) {
+      this.renderCallback();
+    }
   }
 
   /**
-   * Delete currently selected item (placeholder)
+   * Delete currently selected items
    */
   deleteSelected() {
-    // This would require a selection system
-    console.log('Delete selected not yet implemented');
+    if (this.appState.deleteSelection() > 0) {
+      this.renderCallback();
+    }
+  }
+
+  /**
+   * Copy the position of the single selected point, text or sector center
+   * in the selected coordinate format
+   */
+  copySelected() {
+    const selection = this.appState.getSelection();
+    if (selection.length !== 1) return;
+
+    const [item] = selection;
+    const position = item.center ?? (item.lat !== undefined ? item : null);
+    if (!position) return;
+
+    const bus = this.appState.eventBus;
+    copyCoordinate(position)
+      .then(text => bus.emit('coordinates:copied', { text, error: null }))
+      .catch(error => bus.emit('coordinates:copied', { text: null, error }));
   }
 
   /**
    * Clear all data with confirmation
    */
   clearAll() {
-    if (confirm('Clear all data? This cannot be undone.')) {
+    if (confirm('Clear all data?')) {
       this.appState.clearAll();
       this.renderCallback();
     }
@@ -180,14 +212,23 @@ TOOLS:
   O - Polygon (O for "Outline")
   S - Sector
   T - Text
+  I - Line of sight
   M - Move
+  V - Edit (vertices, sector handles)
   D - Delete
 
 ACTIONS:
   Enter/Escape - Finish drawing
-  Ctrl+Z - Undo (coming soon)
-  Ctrl+Y - Redo (coming soon)
-  Delete - Delete selected (coming soon)
+  Ctrl+Z - Undo
+  Ctrl+Y - Redo
+  Click - Select (Explore mode)
+  Shift+Click - Add to selection
+  Shift+Drag - Box select (Explore/Move mode)
+  Alt+Click - Delete vertex (Edit mode)
+  Hold Alt - Draw without snapping
+  C - Copy coordinates of selected point
+  Click status bar - Copy cursor coordinates
+  Delete - Delete selected
   Ctrl+Shift+Delete - Clear all
     `.trim();
   }
@@ -0,0 +1,182 @@
+// ============================================================================
+// ui/LayerPanel.js
+// Layer list with active layer, visibility, lock, order and rename controls
+// ============================================================================
+
+export class LayerPanel {
+  constructor(appState, renderCallback) {
+    this.appState = appState;
+    this.renderCallback = renderCallback;
+    this.list = null;
+  }
+
+  /**
+   * Bind the panel controls and render the layer list
+   */
+  init() {
+    this.list = document.getElementById('layerList');
+    const addBtn = document.getElementById('layerAdd');
+
+    if (addBtn) {
+      addBtn.addEventListener('click', () => {
+        const name = prompt('Layer name:', 'New layer');
+        if (!name?.trim()) return;
+
+        const layer = this.appState.layers.add(name.trim());
+        this.appState.layers.setActive(layer.id);
+      });
+    }
+
+    if (this.list) {
+      this.list.addEventListener('click', e => this.onAction(e));
+      this.list.addEventListener('change', e => this.onAction(e));
+      this.list.addEventListener('dblclick', e => {
+        const id = e.target.closest('[data-id]')?.dataset.id;
+        if (id && e.target.classList.contains('layer-name')) this.rename(id);
+      });
+    }
+
+    this.appState.eventBus.on('layers:changed', () => {
+      this.render();
+      this.renderCallback();
+    });
+
+    this.render();
+  }
+
+  /**
+   * Handle a control in a layer row
+   * @param {Event} e
+   */
+  onAction(e) {
+    const action = e.target.dataset.action;
+    const id = e.target.closest('[data-id]')?.dataset.id;
+    if (!action || !id) return;
+
+    // Checkboxes and radios act on change, buttons on click
+    const isInput = e.target.tagName === 'INPUT';
+    if (isInput !== (e.type === 'change')) return;
+
+    const layers = this.appState.layers;
+
+    switch (action) {
+      case 'activate':
+        layers.setActive(id);
+        break;
+      case 'visible':
+        layers.setVisible(id, e.target.checked);
+        break;
+      case 'lock':
+        layers.setLocked(id, e.target.checked);
+        break;
+      case 'up':
+        layers.move(id, 1);
+        break;
+      case 'down':
+        layers.move(id, -1);
+        break;
+      case 'remove':
+        this.remove(id);
+        break;
+    }
+  }
+
+  /**
+   * Prompt for a new layer name
+   * @param {string} id
+   */
+  rename(id) {
+    const layer = this.appState.layers.get(id);
+    if (!layer) return;
+
+    const name = prompt('Rename layer:', layer.name);
+    if (name?.trim()) this.appState.layers.rename(id, name.trim());
+  }
+
+  /**
+   * Delete a layer, moving its items to the neighbouring layer
+   * @param {string} id
+   */
+  remove(id) {
+    const layers = this.appState.layers;
+    const order = layers.getDrawOrder();
+    const index = order.findIndex(l => l.id === id);
+    if (order.length <= 1 || index === -1) return;
+
+    const target = order[index > 0 ? index - 1 : 1];
+    if (!confirm(`Delete layer "${order[index].name}"? Its features move to "${target.name}".`)) {
+      return;
+    }
+
+    for (const list of this.appState.getDataLists()) {
+      for (const item of list) {
+        if (layers.layerOf(item).id === id) item.layer = target.id;
+      }
+    }
+
+    layers.remove(id);
+  }
+
+  /**
+   * Render layer rows, top layer first
+   */
+  render() {
+    if (!this.list) return;
+
+    const { layers, activeId } = this.appState.layers.export();
+    this.list.innerHTML = '';
+
+    for (const layer of layers.reverse()) {
+      const row = document.createElement('li');
+      row.dataset.id = layer.id;
+      row.classList.toggle('active', layer.id === activeId);
+
+      row.append(
+        this.input('radio', 'activate', layer.id === activeId, 'Draw on this layer'),
+        this.input('checkbox', 'visible', layer.visible, 'Visible'),
+        this.input('checkbox', 'lock', layer.locked, 'Locked'),
+        this.label(layer.name),
+        this.button('▲', 'up', 'Move up'),
+        this.button('▼', 'down', 'Move down'),
+        this.button('×', 'remove', 'Delete layer')
+      );
+
+      this.list.appendChild(row);
+    }
+  }
+
+  /**
+   * @private
+   */
+  input(type, action, checked, title) {
+    const el = document.createElement('input');
+    el.type = type;
+    el.name = type === 'radio' ? 'activeLayer' : '';
+    el.checked = checked;
+    el.title = title;
+    el.dataset.action = action;
+    return el;
+  }
+
+  /**
+   * @private
+   */
+  button(text, action, title) {
+    const el = document.createElement('button');
+    el.textContent = text;
+    el.title = title;
+    el.dataset.action = action;
+    return el;
+  }
+
+  /**
+   * @private
+   */
+  label(name) {
+    const el = document.createElement('span');
+    el.className = 'layer-name';
+    el.textContent = name;
+    el.title = 'Double-click to rename';
+    return el;
+  }
+}
@@ -0,0 +1,222 @@
+// ============================================================================
+// ui/LineOfSightPanel.js
+// Terrain cross-section and verdict for the line-of-sight tool
+// ============================================================================
+
+import { LOS_COLORS } from '../tools/LineOfSightTool.js';
+import { GeoUtils } from '../utils/geometry.js';
+import { formatElevation } from '../utils/units.js';
+
+// Chart padding in pixels: room for axis labels
+const PAD = { left: 52, right: 10, top: 10, bottom: 22 };
+
+export class LineOfSightPanel {
+  constructor(appState, renderCallback) {
+    this.appState = appState;
+    this.renderCallback = renderCallback;
+    this.elements = {};
+
+    // Last state reported by the tool
+    this.state = null;
+  }
+
+  /**
+   * Bind the panel and follow the line-of-sight tool
+   */
+  init() {
+    this.elements = {
+      panel: document.getElementById('los'),
+      chart: document.getElementById('losChart'),
+      stats: document.getElementById('losStats'),
+      closeBtn: document.getElementById('losClose')
+    };
+
+    if (!this.elements.panel) return;
+
+    this.elements.closeBtn?.addEventListener('click', () => {
+      this.appState.toolManager.getTool('los')?.clear();
+      this.renderCallback();
+    });
+
+    const bus = this.appState.eventBus;
+    bus.on('lineofsight:changed', state => this.update(state));
+    bus.on('units:changed', () => this.render());
+  }
+
+  /**
+   * Show the tool's latest analysis
+   * @param {Object} state - { observer, target, result, loading }
+   */
+  update(state) {
+    this.state = state;
+
+    const { panel } = this.elements;
+    if (panel) panel.style.display = state.target ? 'block' : 'none';
+
+    this.render();
+  }
+
+  // ==========================================================================
+  // DRAWING
+  // ==========================================================================
+
+  /**
+   * Render the cross-section and verdict
+   */
+  render() {
+    const { chart } = this.elements;
+    if (!chart || !this.state) return;
+
+    const ctx = chart.getContext('2d');
+    ctx.clearRect(0, 0, chart.width, chart.height);
+
+    const { result, loading } = this.state;
+
+    if (loading) {
+      this.setStatus('Loading elevation…');
+      return;
+    }
+
+    if (!result) {
+      this.setStatus(this.state.target ? 'Elevation unavailable' : '');
+      return;
+    }
+
+    const terrain = result.samples.filter(s => s.effective !== null);
+    const heights = [...terrain.map(s => s.effective), result.eye, result.targetTop];
+    const min = Math.min(...heights);
+    const max = Math.max(...heights);
+    const span = Math.max(max - min, 1);
+
+    const w = chart.width - PAD.left - PAD.right;
+    const h = chart.height - PAD.top - PAD.bottom;
+    const toX = d => PAD.left + (result.distance > 0 ? (d / result.distance) * w : 0);
+    const toY = e => PAD.top + h - ((e - min) / span) * h;
+
+    this.drawAxes(ctx, { min, max, distance: result.distance, w, h });
+    this.drawTerrain(ctx, terrain, result, toX, toY, h);
+
+    // Sight line from the observer's eye to the top of the target
+    ctx.setLineDash([6, 4]);
+    ctx.strokeStyle = '#1565c0';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(toX(0), toY(result.eye));
+    ctx.lineTo(toX(result.distance), toY(result.targetTop));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    if (result.obstruction) this.drawRidge(ctx, result, toX, toY);
+
+    this.renderStats(result);
+  }
+
+  /**
+   * Terrain fill, outlined by visibility from the observer
+   * @private
+   */
+  drawTerrain(ctx, terrain, result, toX, toY, h) {
+    ctx.beginPath();
+    ctx.moveTo(toX(terrain[0].distance), PAD.top + h);
+    for (const s of terrain) ctx.lineTo(toX(s.distance), toY(s.effective));
+    ctx.lineTo(toX(terrain[terrain.length - 1].distance), PAD.top + h);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(121, 85, 72, 0.25)';
+    ctx.fill();
+
+    ctx.lineWidth = 2;
+    for (let i = 1; i < terrain.length; i++) {
+      // The final segment follows the target verdict, like the map
+      const visible = i === terrain.length - 1 ? result.visible : terrain[i].visible;
+      ctx.strokeStyle = LOS_COLORS[visible ? 'visible' : 'hidden'];
+      ctx.beginPath();
+      ctx.moveTo(toX(terrain[i - 1].distance), toY(terrain[i - 1].effective));
+      ctx.lineTo(toX(terrain[i].distance), toY(terrain[i].effective));
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Mark the obstructing ridge and how far it rises above the sight line
+   * @private
+   */
+  drawRidge(ctx, result, toX, toY) {
+    const ridge = result.obstruction;
+    const effective = result.samples[ridge.index].effective;
+    const x = toX(ridge.distance);
+    const top = toY(effective);
+    const line = toY(effective - ridge.height);
+
+    ctx.strokeStyle = LOS_COLORS.hidden;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x, line);
+    ctx.lineTo(x, top);
+    ctx.stroke();
+
+    ctx.fillStyle = LOS_COLORS.hidden;
+    ctx.beginPath();
+    ctx.moveTo(x, top - 8);
+    ctx.lineTo(x + 6, top - 1);
+    ctx.lineTo(x - 6, top - 1);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.font = '11px monospace';
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = x > PAD.left + 150 ? 'right' : 'left';
+    ctx.fillText(`+${formatElevation(ridge.height, 1)}`, x + (ctx.textAlign === 'right' ? -8 : 8), top - 2);
+  }
+
+  /**
+   * Draw axis frame and min/max/distance labels
+   * @private
+   */
+  drawAxes(ctx, { min, max, distance, w, h }) {
+    ctx.strokeStyle = '#999';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(PAD.left, PAD.top, w, h);
+
+    ctx.fillStyle = '#333';
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatElevation(max), PAD.left - 4, PAD.top);
+    ctx.fillText(formatElevation(min), PAD.left - 4, PAD.top + h);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText('0', PAD.left, PAD.top + h + 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(GeoUtils.formatDistance(distance, 1), PAD.left + w, PAD.top + h + 4);
+  }
+
+  /**
+   * Fill in the verdict line
+   * @private
+   */
+  renderStats(result) {
+    const distance = GeoUtils.formatDistance(result.distance, 2);
+
+    if (result.visible) {
+      const clearance = result.clearance !== null
+        ? ` · clearance ${formatElevation(result.clearance, 1)}`
+        : '';
+      this.setStatus(`Target visible · ${distance}${clearance}`);
+      return;
+    }
+
+    const ridge = result.obstruction;
+    this.setStatus(
+      `Target hidden · ${distance} · ridge at ${GeoUtils.formatDistance(ridge.distance, 2)} ` +
+      `rises ${formatElevation(ridge.height, 1)} above the sight line`
+    );
+  }
+
+  /**
+   * @private
+   */
+  setStatus(text) {
+    if (this.elements.stats) this.elements.stats.textContent = text;
+  }
+}
@@ -0,0 +1,202 @@
+// ============================================================================
+// ui/PropertiesPanel.js
+// Name, description and custom attribute editor for the selected feature
+// ============================================================================
+
+import { changeItemsCommand, snapshotItem } from '../core/CommandHistory.js';
+
+export class PropertiesPanel {
+  constructor(appState) {
+    this.appState = appState;
+    this.elements = {};
+
+    // Item being edited (exactly one selected item)
+    this.item = null;
+
+    // Set while this panel records an edit, so it does not re-render under the user
+    this._committing = false;
+  }
+
+  /**
+   * Bind the panel controls
+   */
+  init() {
+    this.elements = {
+      panel: document.getElementById('properties'),
+      name: document.getElementById('propName'),
+      description: document.getElementById('propDescription'),
+      attributes: document.getElementById('propAttributes'),
+      addBtn: document.getElementById('propAdd')
+    };
+
+    const { panel, name, description, attributes, addBtn } = this.elements;
+    if (!panel) return;
+
+    name?.addEventListener('change', () => this.commit());
+    description?.addEventListener('change', () => this.commit());
+
+    attributes?.addEventListener('change', () => this.commit());
+    attributes?.addEventListener('click', e => {
+      if (e.target.dataset.action !== 'remove') return;
+      e.target.closest('li')?.remove();
+      this.commit();
+    });
+
+    addBtn?.addEventListener('click', () => {
+      attributes?.appendChild(this.attributeRow('', ''));
+      attributes?.lastElementChild.querySelector('input')?.focus();
+    });
+
+    const bus = this.appState.eventBus;
+    bus.on('selection:changed', () => this.render());
+    bus.on('layers:changed', () => this.render());
+    bus.on('history:changed', () => {
+      if (!this._committing) this.render();
+    });
+
+    this.render();
+  }
+
+  /**
+   * Show the panel for a single selected item
+   */
+  render() {
+    const { panel, name, description, attributes, addBtn } = this.elements;
+    if (!panel) return;
+
+    const selection = this.appState.getSelection();
+    this.item = selection.length === 1 ? selection[0] : null;
+
+    panel.style.display = this.item ? 'block' : 'none';
+    if (!this.item) return;
+
+    const item = this.item;
+    const readOnly = this.appState.layers.isLocked(item);
+
+    name.value = item.name ?? '';
+    description.value = item.description ?? '';
+    attributes.innerHTML = '';
+
+    for (const [key, value] of Object.entries(item.attributes ?? {})) {
+      attributes.appendChild(this.attributeRow(key, value));
+    }
+
+    for (const el of panel.querySelectorAll('input, textarea, button')) {
+      el.disabled = readOnly;
+    }
+    addBtn.disabled = readOnly;
+  }
+
+  /**
+   * Write the panel contents to the item as one undoable edit
+   */
+  commit() {
+    const item = this.item;
+    if (!item || this.appState.layers.isLocked(item)) return;
+
+    const before = this.metadataOf(item);
+    const after = {
+      name: this.elements.name.value.trim(),
+      description: this.elements.description.value.trim(),
+      attributes: this.readAttributes()
+    };
+
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    Object.assign(item, snapshotItem(after));
+
+    this._committing = true;
+    try {
+      this.appState.history.record(
+        changeItemsCommand([{ item, before, after }], 'Edit attributes')
+      );
+    } finally {
+      this._committing = false;
+    }
+  }
+
+  /**
+   * Current metadata of an item with every field present,
+   * so undo clears fields that did not exist before
+   * @param {Object} item
+   * @returns {Object} { name, description, attributes }
+   */
+  metadataOf(item) {
+    return {
+      name: item.name ?? '',
+      description: item.description ?? '',
+      attributes: snapshotItem(item.attributes ?? {})
+    };
+  }
+
+  /**
+   * Collect attribute rows, skipping blank and reserved keys
+   * Values left untouched keep their original (possibly non-string) type
+   * @returns {Object}
+   */
+  readAttributes() {
+    const tool = this.findTool(this.item);
+    const attributes = {};
+
+    for (const row of this.elements.attributes.querySelectorAll('li')) {
+      const [keyInput, valueInput] = row.querySelectorAll('input');
+      const key = keyInput.value.trim();
+
+      if (!key) continue;
+      if (tool?.constructor.isReservedKey(key)) {
+        keyInput.setCustomValidity('Reserved property name');
+        keyInput.reportValidity();
+        continue;
+      }
+      keyInput.setCustomValidity('');
+
+      attributes[key] = valueInput.value === valueInput.dataset.text
+        ? JSON.parse(valueInput.dataset.original)
+        : valueInput.value;
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Build an editable key/value row
+   * @private
+   */
+  attributeRow(key, value) {
+    const row = document.createElement('li');
+
+    const keyInput = document.createElement('input');
+    keyInput.value = key;
+    keyInput.placeholder = 'key';
+
+    const valueInput = document.createElement('input');
+    valueInput.placeholder = 'value';
+    valueInput.value = this.formatValue(value);
+    valueInput.dataset.text = valueInput.value;
+    valueInput.dataset.original = JSON.stringify(value);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Remove attribute';
+    removeBtn.dataset.action = 'remove';
+
+    row.append(keyInput, valueInput, removeBtn);
+    return row;
+  }
+
+  /**
+   * Show strings as-is and other JSON values as JSON
+   * @private
+   */
+  formatValue(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Find the tool that owns an item
+   * @private
+   */
+  findTool(item) {
+    return this.appState.getDrawingTools().find(tool => tool.items?.includes(item)) || null;
+  }
+}
@@ -0,0 +1,240 @@
+// ============================================================================
+// ui/SearchBox.js
+// Go to typed coordinates or find features by name, description and attributes
+// ============================================================================
+
+import { parseCoordinate, formatCoordinate } from '../utils/coordinates.js';
+import { GeoUtils } from '../utils/geometry.js';
+
+// Zoom used when jumping to coordinates (never zooms out)
+const GOTO_ZOOM = 15;
+
+// Closest zoom when fitting a single point feature
+const MAX_FIT_ZOOM = 17;
+
+// Longest result list shown
+const MAX_RESULTS = 20;
+
+export class SearchBox {
+  constructor(appState, renderCallback) {
+    this.appState = appState;
+    this.renderCallback = renderCallback;
+    this.input = null;
+    this.results = null;
+
+    // Current matches: { item, label, detail }
+    this.matches = [];
+  }
+
+  /**
+   * Bind the search input and result list
+   */
+  init() {
+    this.input = document.getElementById('search');
+    this.results = document.getElementById('searchResults');
+    if (!this.input) return;
+
+    this.input.addEventListener('input', () => this.update());
+    this.input.addEventListener('keydown', e => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.submit();
+      } else if (e.key === 'Escape') {
+        this.hideResults();
+        this.input.blur();
+      }
+    });
+
+    // Keep focus in the input so blur only fires when leaving the search
+    this.input.addEventListener('blur', () => this.hideResults());
+    this.input.addEventListener('focus', () => this.update());
+    this.results?.addEventListener('mousedown', e => e.preventDefault());
+
+    this.results?.addEventListener('click', e => {
+      const row = e.target.closest('li');
+      if (!row) return;
+
+      if (row.dataset.index !== undefined) {
+        this.goToMatch(this.matches[Number(row.dataset.index)]);
+      } else {
+        this.submit();
+      }
+    });
+  }
+
+  /**
+   * Go to typed coordinates, or to the first matching feature
+   * Like the result list, coordinates come first; matches stay a click away
+   */
+  submit() {
+    const query = this.input.value;
+    const latlng = parseCoordinate(query);
+
+    if (latlng) {
+      this.goTo(latlng);
+      return;
+    }
+
+    this.matches = this.search(query);
+    if (this.matches.length > 0) {
+      this.goToMatch(this.matches[0]);
+    } else {
+      this.input.setCustomValidity('No coordinates or features found');
+      this.input.reportValidity();
+    }
+  }
+
+  /**
+   * Refresh the result list as the user types
+   */
+  update() {
+    this.input.setCustomValidity('');
+
+    const query = this.input.value;
+    const latlng = parseCoordinate(query);
+
+    // Queries with letters (MGRS, hemispheres) may also name features
+    this.matches = latlng && !/[a-z]/i.test(query) ? [] : this.search(query);
+    this.renderResults(latlng);
+  }
+
+  /**
+   * Center the map on a position with a temporary marker
+   * @param {Object} latlng - { lat, lng }
+   */
+  goTo(latlng) {
+    const map = this.appState.map;
+    map.setView(latlng, Math.max(map.getZoom(), GOTO_ZOOM));
+    map.flashMarker(latlng);
+    this.hideResults();
+  }
+
+  /**
+   * Zoom to a matched feature and select it
+   * @param {Object} match - { item }
+   */
+  goToMatch(match) {
+    if (!match) return;
+
+    this.appState.map.fitBounds(this.itemVertices(match.item), { maxZoom: MAX_FIT_ZOOM });
+    this.appState.select([match.item]);
+    this.hideResults();
+    this.renderCallback();
+  }
+
+  /**
+   * Find features whose name, description, text or attributes contain the query
+   * Items on hidden layers are skipped
+   * @param {string} query
+   * @returns {Array<Object>} { item, label, detail }
+   */
+  search(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    const layers = this.appState.layers;
+    const found = [];
+
+    for (const tool of this.appState.getDrawingTools()) {
+      for (const item of tool.items) {
+        if (!layers.isVisible(item)) continue;
+
+        const detail = this.matchField(item, needle);
+        if (detail === null) continue;
+
+        found.push({ item, label: this.labelOf(item, tool), detail });
+        if (found.length >= MAX_RESULTS) return found;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Describe the first field of an item that matches
+   * @private
+   * @returns {string|null} Field description, or null if nothing matches
+   */
+  matchField(item, needle) {
+    const contains = value => this.toText(value).toLowerCase().includes(needle);
+
+    for (const key of ['name', 'description', 'text']) {
+      if (item[key] != null && contains(item[key])) return `${key}: ${item[key]}`;
+    }
+
+    // Attributes also match by key
+    for (const [key, value] of Object.entries(item.attributes ?? {})) {
+      if (contains(key) || (value != null && contains(value))) {
+        return `${key}: ${this.toText(value)}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Show strings as-is and other JSON values as JSON
+   * @private
+   */
+  toText(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  /**
+   * Display name of an item
+   * @private
+   */
+  labelOf(item, tool) {
+    return item.name || item.text || tool.constructor.name.replace(/Tool$/, '');
+  }
+
+  /**
+   * Vertices that bound an item
+   * @private
+   */
+  itemVertices(item) {
+    if (item.center) {
+      return GeoUtils.sectorCoordinates(item).map(([lng, lat]) => ({ lat, lng }));
+    }
+
+    return item.points || [item];
+  }
+
+  /**
+   * Render the result list under the input
+   * @private
+   * @param {Object|null} latlng - Parsed coordinates, if the query is a position
+   */
+  renderResults(latlng) {
+    if (!this.results) return;
+
+    this.results.innerHTML = '';
+
+    if (latlng) {
+      const li = document.createElement('li');
+      li.textContent = `Go to ${formatCoordinate(latlng)}`;
+      this.results.appendChild(li);
+    }
+
+    this.matches.forEach((match, index) => {
+      const li = document.createElement('li');
+      li.dataset.index = index;
+      li.textContent = match.label;
+
+      const detail = document.createElement('small');
+      detail.textContent = match.detail;
+      li.appendChild(detail);
+
+      this.results.appendChild(li);
+    });
+
+    this.results.style.display = this.results.children.length > 0 ? 'block' : 'none';
+  }
+
+  /**
+   * @private
+   */
+  hideResults() {
+    if (this.results) this.results.style.display = 'none';
+  }
+}
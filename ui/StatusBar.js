@@ -4,6 +4,13 @@
 // ============================================================================
 
 import { getElevationDebounced } from '../utils/elevation.js';
+import {
+  COORDINATE_FORMATS,
+  getCoordinateFormat,
+  formatCoordinate,
+  copyCoordinate
+} from '../utils/coordinates.js';
+import { formatElevation } from '../utils/units.js';
 
 export class StatusBar {
   constructor(element) {
@@ -11,6 +18,14 @@ export class StatusBar {
     this.currentLat = null;
     this.currentLng = null;
     this.currentElev = null;
+
+    // Shown after a copy until the cursor moves
+    this.note = null;
+
+    if (this.element) {
+      this.element.title = 'Click to copy coordinates';
+      this.element.addEventListener('click', () => this.copy());
+    }
   }
 
   /**
@@ -20,6 +35,7 @@ export class StatusBar {
   update(latlng) {
     this.currentLat = latlng.lat;
     this.currentLng = latlng.lng;
+    this.note = null;
 
     // Update display immediately with coordinates
     this.render();
@@ -37,14 +53,36 @@ export class StatusBar {
   render() {
     if (!this.element) return;
 
-    const lat = this.currentLat !== null ? this.currentLat.toFixed(6) : '—';
-    const lng = this.currentLng !== null ? this.currentLng.toFixed(6) : '—';
-    const elev = this.currentElev !== null ? `${this.currentElev} m` : '…';
+    const format = getCoordinateFormat();
+    const position = this.currentLat !== null
+      ? formatCoordinate({ lat: this.currentLat, lng: this.currentLng }, format)
+      : '—';
+    const elev = this.currentElev !== null ? formatElevation(this.currentElev) : '…';
 
     this.element.innerHTML =
-      `lat: ${lat}<br>` +
-      `lng: ${lng}<br>` +
-      `elev: ${elev}`;
+      `${COORDINATE_FORMATS[format]}: ${position}<br>` +
+      `elev: ${elev}` +
+      (this.note ? `<br>${this.note}` : '');
+  }
+
+  /**
+   * Copy the current position in the selected format
+   */
+  copy() {
+    if (this.currentLat === null) return;
+
+    copyCoordinate({ lat: this.currentLat, lng: this.currentLng })
+      .then(() => this.showNote('copied'))
+      .catch(() => this.showNote('copy failed'));
+  }
+
+  /**
+   * Show a short note under the position until the cursor moves
+   * @param {string} note
+   */
+  showNote(note) {
+    this.note = note;
+    this.render();
   }
 
   /**
@@ -54,9 +92,10 @@ export class StatusBar {
     this.currentLat = null;
     this.currentLng = null;
     this.currentElev = null;
+    this.note = null;
 
     if (this.element) {
-      this.element.innerHTML = 'lat: —<br>lng: —<br>elev: —';
+      this.element.innerHTML = `${COORDINATE_FORMATS[getCoordinateFormat()]}: —<br>elev: —`;
     }
   }
 
@@ -3,6 +3,15 @@
 // Manages all DOM interactions and UI bindings
 // ============================================================================
 
+import { getCoordinateFormat, setCoordinateFormat } from '../utils/coordinates.js';
+import {
+  UNIT_SYSTEMS,
+  getUnitSystem,
+  setUnitSystem,
+  getAreaUnit,
+  setAreaUnit
+} from '../utils/units.js';
+
 export class UIManager {
   constructor(appState, renderCallback) {
     this.appState = appState;
@@ -18,6 +27,9 @@ export class UIManager {
     this.initModeSelector();
     this.initToolOptions();
     this.initMapControls();
+    this.initCoordinateFormat();
+    this.initUnits();
+    this.initHistoryControls();
     this.initEventListeners();
   }
 
@@ -32,6 +44,13 @@ export class UIManager {
       // Map controls
       mapSelect: document.getElementById('mapSelect'),
       mapOpacity: document.getElementById('mapOpacity'),
+      coordFormat: document.getElementById('coordFormat'),
+      unitSystem: document.getElementById('unitSystem'),
+      areaUnit: document.getElementById('areaUnit'),
+
+      // History controls
+      undoBtn: document.getElementById('undo'),
+      redoBtn: document.getElementById('redo'),
 
       // Tool-specific controls
       sectorAngle: document.getElementById('sector-angle'),
@@ -44,8 +63,14 @@ export class UIManager {
       lineStyle: document.getElementById('line-style'),
 
       polygonColor: document.getElementById('polygon-color'),
+      polygonHole: document.getElementById('polygon-hole'),
+
+      losObserverHeight: document.getElementById('los-observer-height'),
+      losTargetHeight: document.getElementById('los-target-height'),
 
       sectorColor: document.getElementById('sector-color'),
+      sectorViewshed: document.getElementById('sector-viewshed'),
+      sectorObserverHeight: document.getElementById('sector-observer-height'),
 
       textValue: document.getElementById('text-value'),
       textColor: document.getElementById('text-color'),
@@ -80,16 +105,21 @@ export class UIManager {
 
     // Polygon
     this.bindOption('polygonColor', 'polygon', 'color');
+    this.initPolygonHole();
 
     // Sector
     this.bindOption('sectorColor', 'sector', 'color');
     this.initSectorAngle();
+    this.initSectorViewshed();
 
     // Text
     this.bindOption('textValue', 'text', 'value', 'input');
     this.bindOption('textColor', 'text', 'color');
     this.bindOption('textSize', 'text', 'size', 'input', v => parseInt(v, 10) || 14);
 
+    // Line of sight
+    this.initLineOfSight();
+
     // Initialize color selects with options
     this.initColorSelects();
   }
@@ -109,6 +139,11 @@ export class UIManager {
     el.addEventListener(eventType, e => {
       const value = transform(e.target.value);
       this.appState.styleManager.updateFromUI(toolName, styleProp, value);
+      this.appState.eventBus.emit('style:changed', {
+        toolName,
+        property: styleProp,
+        value
+      });
     });
   }
 
@@ -123,6 +158,11 @@ export class UIManager {
       const value = parseFloat(e.target.value);
       if (Number.isFinite(value)) {
         this.appState.styleManager.setStyle('sector', { angle: value });
+        this.appState.eventBus.emit('style:changed', {
+          toolName: 'sector',
+          property: 'angle',
+          value
+        });
 
         // Update active tool if it's a sector
         const tool = this.appState.getActiveTool();
@@ -134,6 +174,138 @@ export class UIManager {
     });
   }
 
+  /**
+   * Initialize sector viewshed toggle and observer height
+   */
+  initSectorViewshed() {
+    const { sectorViewshed, sectorObserverHeight } = this.elements;
+
+    const update = () => {
+      const tool = this.appState.toolManager.getTool('sector');
+      if (!tool) return;
+
+      const height = parseFloat(sectorObserverHeight?.value);
+      tool.setViewshed({
+        enabled: !!sectorViewshed?.checked,
+        observerHeight: Number.isFinite(height) ? height : tool.viewshed.observerHeight
+      });
+      this.renderCallback();
+    };
+
+    sectorViewshed?.addEventListener('change', update);
+    sectorObserverHeight?.addEventListener('change', update);
+  }
+
+  /**
+   * Initialize polygon hole toggle
+   */
+  initPolygonHole() {
+    const { polygonHole } = this.elements;
+    if (!polygonHole) return;
+
+    polygonHole.addEventListener('change', e => {
+      const tool = this.appState.toolManager.getTool('polygon');
+      if (!tool) return;
+
+      tool.holeMode = e.target.checked;
+      this.renderCallback();
+    });
+  }
+
+  /**
+   * Initialize line-of-sight observer and target heights
+   */
+  initLineOfSight() {
+    const { losObserverHeight, losTargetHeight } = this.elements;
+
+    const update = () => {
+      const tool = this.appState.toolManager.getTool('los');
+      if (!tool) return;
+
+      const observer = parseFloat(losObserverHeight?.value);
+      const target = parseFloat(losTargetHeight?.value);
+
+      tool.setHeights({
+        observer: Number.isFinite(observer) ? observer : undefined,
+        target: Number.isFinite(target) ? target : undefined
+      });
+      this.renderCallback();
+    };
+
+    losObserverHeight?.addEventListener('input', update);
+    losTargetHeight?.addEventListener('input', update);
+  }
+
+  /**
+   * Initialize the coordinate display format selector
+   */
+  initCoordinateFormat() {
+    const { coordFormat } = this.elements;
+    if (!coordFormat) return;
+
+    coordFormat.value = getCoordinateFormat();
+    coordFormat.addEventListener('change', e => {
+      setCoordinateFormat(e.target.value);
+      this.appState.eventBus.emit('coordinates:format:changed', { format: e.target.value });
+      this.renderCallback();
+    });
+  }
+
+  /**
+   * Initialize the unit system and area unit selectors
+   * Choosing a unit system also switches to its usual area unit
+   */
+  initUnits() {
+    const { unitSystem, areaUnit } = this.elements;
+
+    if (unitSystem) unitSystem.value = getUnitSystem();
+    if (areaUnit) areaUnit.value = getAreaUnit();
+
+    const changed = () => {
+      this.appState.eventBus.emit('units:changed', {
+        system: getUnitSystem(),
+        areaUnit: getAreaUnit()
+      });
+      this.renderCallback();
+    };
+
+    unitSystem?.addEventListener('change', e => {
+      setUnitSystem(e.target.value);
+      setAreaUnit(UNIT_SYSTEMS[e.target.value].defaultArea);
+      if (areaUnit) areaUnit.value = getAreaUnit();
+      changed();
+    });
+
+    areaUnit?.addEventListener('change', e => {
+      setAreaUnit(e.target.value);
+      changed();
+    });
+  }
+
+  /**
+   * Bind the snapping toggle and target selector
+   * Vertex targets include point features and sector centers
+   * @param {Snapper} snapper
+   */
+  initSnapping(snapper) {
+    const snap = document.getElementById('snap');
+    const targets = document.getElementById('snapTargets');
+
+    snap?.addEventListener('change', e => {
+      snapper.setEnabled(e.target.checked);
+      this.renderCallback();
+    });
+
+    targets?.addEventListener('change', e => {
+      const value = e.target.value;
+      snapper.setTargets({
+        vertices: value !== 'edges',
+        centers: value !== 'edges',
+        edges: value !== 'vertices'
+      });
+    });
+  }
+
   /**
    * Initialize color select dropdowns
    */
@@ -182,6 +354,7 @@ export class UIManager {
       mapSelect.value = 'OSM';
       mapSelect.addEventListener('change', e => {
         this.appState.map.setBaseLayer(e.target.value);
+        this.appState.eventBus.emit('map:layer:changed', { layer: e.target.value });
       });
     }
 
@@ -193,6 +366,45 @@ export class UIManager {
     }
   }
 
+  /**
+   * Initialize undo/redo buttons
+   */
+  initHistoryControls() {
+    const { undoBtn, redoBtn } = this.elements;
+    const history = this.appState.history;
+
+    undoBtn?.addEventListener('click', () => {
+      if (history.undo()) this.renderCallback();
+    });
+
+    redoBtn?.addEventListener('click', () => {
+      if (history.redo()) this.renderCallback();
+    });
+
+    this.updateHistoryButtons({
+      canUndo: history.canUndo(),
+      canRedo: history.canRedo()
+    });
+  }
+
+  /**
+   * Enable/disable undo/redo buttons
+   * @param {Object} state - { canUndo, canRedo, undoLabel, redoLabel }
+   */
+  updateHistoryButtons(state) {
+    const { undoBtn, redoBtn } = this.elements;
+
+    if (undoBtn) {
+      undoBtn.disabled = !state.canUndo;
+      undoBtn.title = state.undoLabel ? `Undo: ${state.undoLabel}` : '';
+    }
+
+    if (redoBtn) {
+      redoBtn.disabled = !state.canRedo;
+      redoBtn.title = state.redoLabel ? `Redo: ${state.redoLabel}` : '';
+    }
+  }
+
   /**
    * Initialize event listeners for app state changes
    */
@@ -202,6 +414,21 @@ export class UIManager {
       this.updateModeUI(data.mode);
     });
 
+    // Keep the base layer selector in sync
+    this.appState.eventBus.on('map:layer:changed', ({ layer }) => {
+      if (this.elements.mapSelect) this.elements.mapSelect.value = layer;
+    });
+
+    // Reflect restored styles in the option controls
+    this.appState.eventBus.on('session:restored', () => {
+      this.syncOptions();
+    });
+
+    // Listen to history changes
+    this.appState.eventBus.on('history:changed', state => {
+      this.updateHistoryButtons(state);
+    });
+
     // Listen to redraw requests
     this.appState.eventBus.on('redraw', () => {
       this.renderCallback();
@@ -305,21 +532,26 @@ export class UIManager {
    */
   resetOptions() {
     this.appState.styleManager.resetAll();
-
-    // Update UI to reflect defaults
-    const defaults = this.appState.styleManager.getDefaults();
-
-    if (this.elements.pointColor) this.elements.pointColor.value = defaults.points.color;
-    if (this.elements.pointSymbol) this.elements.pointSymbol.value = defaults.points.symbol;
-    if (this.elements.lineColor) this.elements.lineColor.value = defaults.line.color;
-    if (this.elements.lineStyle) this.elements.lineStyle.value = defaults.line.style;
-    if (this.elements.polygonColor) this.elements.polygonColor.value = defaults.polygon.color;
-    if (this.elements.sectorColor) this.elements.sectorColor.value = defaults.sector.color;
-    if (this.elements.sectorAngle) this.elements.sectorAngle.value = defaults.sector.angle;
-    if (this.elements.textColor) this.elements.textColor.value = defaults.text.color;
-    if (this.elements.textSize) this.elements.textSize.value = defaults.text.size;
-    if (this.elements.textValue) this.elements.textValue.value = defaults.text.value;
+    this.syncOptions();
 
     this.showNotification('Options reset to defaults', 'success');
   }
+
+  /**
+   * Update option controls to reflect the current styles
+   */
+  syncOptions() {
+    const styles = this.appState.styleManager.export();
+
+    if (this.elements.pointColor) this.elements.pointColor.value = styles.points.color;
+    if (this.elements.pointSymbol) this.elements.pointSymbol.value = styles.points.symbol;
+    if (this.elements.lineColor) this.elements.lineColor.value = styles.line.color;
+    if (this.elements.lineStyle) this.elements.lineStyle.value = styles.line.style;
+    if (this.elements.polygonColor) this.elements.polygonColor.value = styles.polygon.color;
+    if (this.elements.sectorColor) this.elements.sectorColor.value = styles.sector.color;
+    if (this.elements.sectorAngle) this.elements.sectorAngle.value = styles.sector.angle;
+    if (this.elements.textColor) this.elements.textColor.value = styles.text.color;
+    if (this.elements.textSize) this.elements.textSize.value = styles.text.size;
+    if (this.elements.textValue) this.elements.textValue.value = styles.text.value;
+  }
 }
\ No newline at end of file
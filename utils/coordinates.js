@@ -0,0 +1,560 @@
+// ============================================================================
+// utils/coordinates.js
+// Coordinate display formats (DD, DMS, DDM, UTM, MGRS) and the user's choice
+// ============================================================================
+
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const E2 = WGS84_F * (2 - WGS84_F);
+const EP2 = E2 / (1 - E2);
+
+// UTM scale factor on the central meridian
+const UTM_K0 = 0.9996;
+
+// UTM covers 80°S to 84°N; the poles use UPS, which is not supported
+const UTM_MIN_LAT = -80;
+const UTM_MAX_LAT = 84;
+
+// Latitude bands C..X, 8° each (X is 12°)
+const BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+// MGRS 100 km square letters
+const MGRS_COLUMNS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROWS = 'ABCDEFGHJKLMNPQRSTUV';
+
+// Format ids and their display names
+export const COORDINATE_FORMATS = {
+  dd: 'DD',
+  dms: 'DMS',
+  ddm: 'DDM',
+  utm: 'UTM',
+  mgrs: 'MGRS'
+};
+
+const STORAGE_KEY = 'coordFormat';
+
+const toRad = degrees => degrees * Math.PI / 180;
+const toDeg = radians => radians * 180 / Math.PI;
+
+/* ===================== STATE ===================== */
+
+let format = localStorage.getItem(STORAGE_KEY);
+if (!COORDINATE_FORMATS[format]) format = 'dd';
+
+/**
+ * Get the selected display format
+ * @returns {string} Format id (dd, dms, ddm, utm, mgrs)
+ */
+export function getCoordinateFormat() {
+  return format;
+}
+
+/**
+ * Select and persist the display format
+ * @param {string} newFormat - Format id
+ */
+export function setCoordinateFormat(newFormat) {
+  if (!COORDINATE_FORMATS[newFormat]) {
+    console.warn(`coordinates: Unknown format "${newFormat}"`);
+    return;
+  }
+
+  format = newFormat;
+  localStorage.setItem(STORAGE_KEY, format);
+}
+
+/* ===================== ANGULAR FORMATS ===================== */
+
+/**
+ * Split an absolute angle into whole degrees, minutes and seconds
+ * Rounding carries over so 59.99…″ never shows as 60″
+ * @private
+ */
+function splitAngle(value, minuteDecimals, secondDecimals = null) {
+  const abs = Math.abs(value);
+  let deg = Math.floor(abs);
+  let min = (abs - deg) * 60;
+
+  if (secondDecimals === null) {
+    min = Number(min.toFixed(minuteDecimals));
+    if (min >= 60) {
+      deg += 1;
+      min = 0;
+    }
+    return { deg, min };
+  }
+
+  let sec = Number(((min - Math.floor(min)) * 60).toFixed(secondDecimals));
+  min = Math.floor(min);
+  if (sec >= 60) {
+    min += 1;
+    sec = 0;
+  }
+  if (min >= 60) {
+    deg += 1;
+    min = 0;
+  }
+  return { deg, min, sec };
+}
+
+/**
+ * Hemisphere letter of a latitude or longitude
+ * @private
+ */
+function hemisphere(value, isLat) {
+  if (isLat) return value < 0 ? 'S' : 'N';
+  return value < 0 ? 'W' : 'E';
+}
+
+/**
+ * Decimal degrees: "50.450100, 30.523400"
+ * @param {Object} latlng - { lat, lng }
+ * @param {number} decimals
+ * @returns {string}
+ */
+export function formatDD({ lat, lng }, decimals = 6) {
+  return `${lat.toFixed(decimals)}, ${lng.toFixed(decimals)}`;
+}
+
+/**
+ * Degrees, minutes, seconds: "50°27′00.4″N 30°31′24.2″E"
+ * @param {Object} latlng - { lat, lng }
+ * @param {number} decimals - Decimals of seconds
+ * @returns {string}
+ */
+export function formatDMS({ lat, lng }, decimals = 1) {
+  const part = (value, isLat) => {
+    const { deg, min, sec } = splitAngle(value, 0, decimals);
+    const secText = sec.toFixed(decimals).padStart(decimals ? decimals + 3 : 2, '0');
+    return `${deg}°${String(min).padStart(2, '0')}′${secText}″${hemisphere(value, isLat)}`;
+  };
+
+  return `${part(lat, true)} ${part(lng, false)}`;
+}
+
+/**
+ * Degrees and decimal minutes: "50°27.006′N 30°31.404′E"
+ * @param {Object} latlng - { lat, lng }
+ * @param {number} decimals - Decimals of minutes
+ * @returns {string}
+ */
+export function formatDDM({ lat, lng }, decimals = 3) {
+  const part = (value, isLat) => {
+    const { deg, min } = splitAngle(value, decimals);
+    const minText = min.toFixed(decimals).padStart(decimals ? decimals + 3 : 2, '0');
+    return `${deg}°${minText}′${hemisphere(value, isLat)}`;
+  };
+
+  return `${part(lat, true)} ${part(lng, false)}`;
+}
+
+/* ===================== UTM / MGRS ===================== */
+
+/**
+ * UTM zone number, including the Norway and Svalbard exceptions
+ * @private
+ */
+function utmZone(lat, lng) {
+  if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) return 32;
+
+  if (lat >= 72 && lat < 84) {
+    if (lng >= 0 && lng < 9) return 31;
+    if (lng >= 9 && lng < 21) return 33;
+    if (lng >= 21 && lng < 33) return 35;
+    if (lng >= 33 && lng < 42) return 37;
+  }
+
+  return Math.min(60, Math.floor((lng + 180) / 6) + 1);
+}
+
+/**
+ * Convert WGS84 lat/lng to UTM
+ * @param {Object} latlng - { lat, lng }
+ * @returns {Object|null} { zone, band, hemisphere, easting, northing },
+ *   or null outside the UTM latitude range
+ */
+export function toUTM({ lat, lng }) {
+  if (!(lat >= UTM_MIN_LAT && lat <= UTM_MAX_LAT)) return null;
+
+  const zone = utmZone(lat, lng);
+  const band = BANDS[Math.min(BANDS.length - 1, Math.floor((lat - UTM_MIN_LAT) / 8))];
+
+  const phi = toRad(lat);
+  const lambda = toRad(lng - ((zone - 1) * 6 - 180 + 3));
+
+  const sin = Math.sin(phi);
+  const cos = Math.cos(phi);
+  const tan = Math.tan(phi);
+
+  const N = WGS84_A / Math.sqrt(1 - E2 * sin * sin);
+  const T = tan * tan;
+  const C = EP2 * cos * cos;
+  const A = cos * lambda;
+
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+
+  // Meridian arc length
+  const M = WGS84_A * (
+    (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+    (3 * E2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+    (35 * e6 / 3072) * Math.sin(6 * phi)
+  );
+
+  const easting = UTM_K0 * N * (
+    A +
+    (1 - T + C) * A ** 3 / 6 +
+    (5 - 18 * T + T * T + 72 * C - 58 * EP2) * A ** 5 / 120
+  ) + 500000;
+
+  let northing = UTM_K0 * (
+    M + N * tan * (
+      A * A / 2 +
+      (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+      (61 - 58 * T + T * T + 600 * C - 330 * EP2) * A ** 6 / 720
+    )
+  );
+
+  if (lat < 0) northing += 10000000;
+
+  return {
+    zone,
+    band,
+    hemisphere: lat < 0 ? 'S' : 'N',
+    easting,
+    northing
+  };
+}
+
+/**
+ * UTM: "36U 324182E 5591607N"
+ * @param {Object} latlng - { lat, lng }
+ * @returns {string|null} Null outside the UTM latitude range
+ */
+export function formatUTM(latlng) {
+  const utm = toUTM(latlng);
+  if (!utm) return null;
+
+  return `${utm.zone}${utm.band} ${Math.floor(utm.easting)}E ${Math.floor(utm.northing)}N`;
+}
+
+/**
+ * MGRS: "36U UA 24182 91607"
+ * @param {Object} latlng - { lat, lng }
+ * @param {number} digits - Digits per easting/northing (5 = 1 m, 4 = 10 m, ...)
+ * @returns {string|null} Null outside the UTM latitude range
+ */
+export function formatMGRS(latlng, digits = 5) {
+  const utm = toUTM(latlng);
+  if (!utm) return null;
+
+  const { zone, band, easting, northing } = utm;
+
+  // Column letters repeat every 3 zones, row letters every 2
+  const columns = MGRS_COLUMNS[(zone - 1) % 3];
+  const column = columns[Math.floor(easting / 100000) - 1];
+  const rowOffset = zone % 2 === 0 ? 5 : 0;
+  const row = MGRS_ROWS[(Math.floor(northing / 100000) + rowOffset) % MGRS_ROWS.length];
+
+  const scale = 10 ** (5 - digits);
+  const e = String(Math.floor((easting % 100000) / scale)).padStart(digits, '0');
+  const n = String(Math.floor((northing % 100000) / scale)).padStart(digits, '0');
+
+  return `${zone}${band} ${column}${row} ${e} ${n}`;
+}
+
+/**
+ * Convert UTM to WGS84 lat/lng
+ * @param {number} zone - UTM zone 1..60
+ * @param {string} hemi - 'N' or 'S'
+ * @param {number} easting - Meters
+ * @param {number} northing - Meters (with the 10 000 km false northing in the south)
+ * @returns {Object} { lat, lng }
+ */
+export function fromUTM(zone, hemi, easting, northing) {
+  const x = easting - 500000;
+  const y = hemi === 'S' ? northing - 10000000 : northing;
+
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+
+  // Footpoint latitude
+  const mu = y / UTM_K0 / (WGS84_A * (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+    (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+    (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+    (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+  const sin = Math.sin(phi1);
+  const cos = Math.cos(phi1);
+  const tan = Math.tan(phi1);
+
+  const N1 = WGS84_A / Math.sqrt(1 - E2 * sin * sin);
+  const R1 = WGS84_A * (1 - E2) / (1 - E2 * sin * sin) ** 1.5;
+  const T1 = tan * tan;
+  const C1 = EP2 * cos * cos;
+  const D = x / (N1 * UTM_K0);
+
+  const lat = phi1 - (N1 * tan / R1) * (
+    D * D / 2 -
+    (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * EP2) * D ** 4 / 24 +
+    (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * EP2 - 3 * C1 * C1) * D ** 6 / 720
+  );
+
+  const lng = (
+    D -
+    (1 + 2 * T1 + C1) * D ** 3 / 6 +
+    (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * EP2 + 24 * T1 * T1) * D ** 5 / 120
+  ) / cos;
+
+  return {
+    lat: toDeg(lat),
+    lng: (zone - 1) * 6 - 180 + 3 + toDeg(lng)
+  };
+}
+
+/* ===================== PARSING ===================== */
+
+// "36U 324182E 5591607N", "36U 324182 5591607"
+const UTM_PATTERN = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*E?\s+(\d+(?:\.\d+)?)\s*N?$/i;
+
+// "36U UA 24182 91607", "36UUA2418291607"
+const MGRS_PATTERN = /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d*)\s*(\d*)$/i;
+
+/**
+ * Hemisphere of a latitude band letter
+ * @private
+ */
+function bandHemisphere(band) {
+  return band.toUpperCase() >= 'N' ? 'N' : 'S';
+}
+
+/**
+ * Parse a UTM string
+ * @param {string} text
+ * @returns {Object|null} { lat, lng }
+ */
+export function parseUTM(text) {
+  const m = text.trim().match(UTM_PATTERN);
+  if (!m) return null;
+
+  const zone = Number(m[1]);
+  if (zone < 1 || zone > 60) return null;
+
+  return fromUTM(zone, bandHemisphere(m[2]), Number(m[3]), Number(m[4]));
+}
+
+/**
+ * Parse an MGRS string (the position is the south-west corner of the grid cell)
+ * @param {string} text
+ * @returns {Object|null} { lat, lng }
+ */
+export function parseMGRS(text) {
+  const m = text.trim().match(MGRS_PATTERN);
+  if (!m) return null;
+
+  const zone = Number(m[1]);
+  const band = m[2].toUpperCase();
+  const [column, row] = [m[3].toUpperCase(), m[4].toUpperCase()];
+
+  // Digits come as one run or as two groups of equal length
+  const digits = m[6] ? m[5] + m[6] : m[5];
+  if (zone < 1 || zone > 60 || digits.length % 2 !== 0 || digits.length > 10) return null;
+  if (m[6] && m[5].length !== m[6].length) return null;
+
+  const half = digits.length / 2;
+  const scale = 10 ** (5 - half);
+  const e = half ? Number(digits.slice(0, half)) * scale : 0;
+  const n = half ? Number(digits.slice(half)) * scale : 0;
+
+  const columnIndex = MGRS_COLUMNS[(zone - 1) % 3].indexOf(column);
+  const rowOffset = zone % 2 === 0 ? 5 : 0;
+  const rowIndex = MGRS_ROWS.indexOf(row);
+  if (columnIndex === -1 || rowIndex === -1) return null;
+
+  const easting = (columnIndex + 1) * 100000 + e;
+  const northing = ((rowIndex - rowOffset + MGRS_ROWS.length) % MGRS_ROWS.length) * 100000 + n;
+
+  // Row letters repeat every 2000 km: take the repeat whose latitude lies
+  // nearest the middle of the band (wrong repeats are 18° or more away)
+  const bandIndex = BANDS.indexOf(band);
+  const hemi = bandHemisphere(band);
+  const bandMiddle = UTM_MIN_LAT + bandIndex * 8 + (band === 'X' ? 6 : 4);
+  const centralMeridian = (zone - 1) * 6 - 180 + 3;
+  let best = null;
+
+  for (let candidate = northing; candidate < 10000000; candidate += 2000000) {
+    const position = fromUTM(zone, hemi, easting, candidate);
+
+    // Northings beyond the projection's range come back far outside the zone
+    if (!position || !(Math.abs(position.lat) <= 90)) continue;
+    if (Math.abs(((position.lng - centralMeridian + 540) % 360) - 180) > 12) continue;
+
+    if (!best || Math.abs(position.lat - bandMiddle) < Math.abs(best.lat - bandMiddle)) {
+      best = position;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Parse decimal degrees, DMS or DDM
+ * Accepts hemisphere letters before or after each part, negative values,
+ * and °, ′/' and ″/" marks or plain spaces between degrees, minutes and seconds
+ * Without hemisphere letters the order is latitude, longitude
+ * @param {string} text
+ * @returns {Object|null} { lat, lng }
+ */
+export function parseAngular(text) {
+  const normalized = text.trim().toUpperCase().replace(/[°º'′"″]/g, ' ');
+
+  // Free text is not a position: only hemisphere letters may accompany the numbers
+  if (/[^\d\s.,+\-NSEW]/.test(normalized)) return null;
+
+  const letterCount = (normalized.match(/[NSEW]/g) || []).length;
+  const hasLetters = letterCount > 0;
+
+  let parts;
+  if (hasLetters) {
+    parts = [];
+    let current = null;
+
+    for (const token of normalized.match(/[NSEW]|[-+]?\d+(?:\.\d+)?/g) || []) {
+      if (/[NSEW]/.test(token)) {
+        if (current && current.numbers.length > 0 && !current.letter) {
+          current.letter = token; // Suffix ends the part
+          current = null;
+        } else if (current && current.numbers.length === 0) {
+          current.letter = token;
+        } else {
+          current = { letter: token, numbers: [] }; // Prefix starts a part
+          parts.push(current);
+        }
+        continue;
+      }
+
+      if (!current) {
+        current = { letter: null, numbers: [] };
+        parts.push(current);
+      }
+      current.numbers.push(Number(token));
+    }
+  } else {
+    const groups = normalized.includes(',')
+      ? normalized.split(',').map(s => s.match(/[-+]?\d+(?:\.\d+)?/g) || [])
+      : (() => {
+          const numbers = normalized.match(/[-+]?\d+(?:\.\d+)?/g) || [];
+          const half = numbers.length / 2;
+          return [numbers.slice(0, half), numbers.slice(half)];
+        })();
+
+    parts = groups.map(numbers => ({ letter: null, numbers: numbers.map(Number) }));
+  }
+
+  // One hemisphere letter per part at most
+  if (parts.length !== 2 || letterCount > 2) return null;
+
+  const values = parts.map(angleValue);
+  if (values.includes(null)) return null;
+
+  let [lat, lng] = values;
+  const [first, second] = parts.map(p => p.letter);
+
+  // Letters may put longitude first
+  if ((first === 'E' || first === 'W') && (second === null || second === 'N' || second === 'S')) {
+    [lat, lng] = [lng, lat];
+  } else if ((first === 'N' || first === 'S') && (second === 'N' || second === 'S')) {
+    return null;
+  } else if ((first === 'E' || first === 'W') && (second === 'E' || second === 'W')) {
+    return null;
+  }
+
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+/**
+ * Signed decimal degrees of one parsed part
+ * @private
+ */
+function angleValue({ letter, numbers }) {
+  if (numbers.length < 1 || numbers.length > 3) return null;
+
+  const [deg, min = 0, sec = 0] = numbers;
+  if (min < 0 || min >= 60 || sec < 0 || sec >= 60) return null;
+  if (numbers.length > 1 && !Number.isInteger(deg)) return null;
+
+  const negative = deg < 0 || Object.is(deg, -0) || letter === 'S' || letter === 'W';
+  const value = Math.abs(deg) + min / 60 + sec / 3600;
+  return negative ? -value : value;
+}
+
+/**
+ * Parse a position typed in any supported format (MGRS, UTM, DD, DMS, DDM)
+ * @param {string} text
+ * @returns {Object|null} { lat, lng }, or null if not recognised
+ */
+export function parseCoordinate(text) {
+  if (!text?.trim()) return null;
+  return parseMGRS(text) ?? parseUTM(text) ?? parseAngular(text);
+}
+
+/* ===================== SELECTED FORMAT ===================== */
+
+/**
+ * Format a position in the selected (or given) format
+ * Grid formats fall back to decimal degrees near the poles
+ * @param {Object} latlng - { lat, lng }
+ * @param {string} fmt - Format id, defaults to the selected format
+ * @returns {string}
+ */
+export function formatCoordinate(latlng, fmt = format) {
+  switch (fmt) {
+    case 'dms':
+      return formatDMS(latlng);
+    case 'ddm':
+      return formatDDM(latlng);
+    case 'utm':
+      return formatUTM(latlng) ?? formatDD(latlng);
+    case 'mgrs':
+      return formatMGRS(latlng) ?? formatDD(latlng);
+    default:
+      return formatDD(latlng);
+  }
+}
+
+/**
+ * Copy a position to the clipboard in the selected format
+ * @param {Object} latlng - { lat, lng }
+ * @returns {Promise<string>} The copied text
+ */
+export async function copyCoordinate(latlng) {
+  const text = formatCoordinate(latlng);
+  await navigator.clipboard.writeText(text);
+  return text;
+}
+
+// Export as namespace object as well
+export const CoordUtils = {
+  COORDINATE_FORMATS,
+  getCoordinateFormat,
+  setCoordinateFormat,
+  formatDD,
+  formatDMS,
+  formatDDM,
+  toUTM,
+  fromUTM,
+  formatUTM,
+  formatMGRS,
+  parseUTM,
+  parseMGRS,
+  parseAngular,
+  parseCoordinate,
+  formatCoordinate,
+  copyCoordinate
+};
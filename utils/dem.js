@@ -0,0 +1,542 @@
+// ============================================================================
+// utils/dem.js
+// Offline elevation from DEM tiles: SRTM .hgt and single-band GeoTIFF
+// ============================================================================
+
+// SRTM void value
+const HGT_VOID = -32768;
+
+/* ===================== TILES ===================== */
+
+/**
+ * A DEM tile is a north-up grid of elevations in meters:
+ * {
+ *   name,               // Source file name
+ *   width, height,      // Grid size in pixels
+ *   lng0, lat0,         // Position of the center of pixel (0, 0), top-left
+ *   dx, dy,             // Pixel size in degrees (dy grows southwards)
+ *   data,               // Typed array, row-major from the north edge
+ *   noData              // Value marking missing cells, or null
+ * }
+ */
+
+/**
+ * Sample a tile with bilinear interpolation
+ * Missing neighbours are left out of the weighting
+ * @param {Object} tile - DEM tile
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {number|null} Elevation in meters, or null outside the tile or in a void
+ */
+export function sampleTile(tile, lat, lng) {
+  const { width, height, lng0, lat0, dx, dy, data } = tile;
+
+  // Float32 cells hold noData rounded to single precision (e.g. -3.4028234663852886e38)
+  const noData = data instanceof Float32Array && tile.noData !== null
+    ? Math.fround(tile.noData)
+    : tile.noData;
+
+  let fx = (lng - lng0) / dx;
+  let fy = (lat0 - lat) / dy;
+
+  // Half a pixel of slack around the outer pixel centers
+  if (fx < -0.5 || fx > width - 0.5 || fy < -0.5 || fy > height - 0.5) return null;
+  fx = Math.min(Math.max(fx, 0), width - 1);
+  fy = Math.min(Math.max(fy, 0), height - 1);
+
+  const x0 = Math.floor(fx);
+  const y0 = Math.floor(fy);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const tx = fx - x0;
+  const ty = fy - y0;
+
+  const cells = [
+    [x0, y0, (1 - tx) * (1 - ty)],
+    [x1, y0, tx * (1 - ty)],
+    [x0, y1, (1 - tx) * ty],
+    [x1, y1, tx * ty]
+  ];
+
+  let sum = 0;
+  let weight = 0;
+
+  for (const [x, y, w] of cells) {
+    const value = data[y * width + x];
+    if (value === noData || Number.isNaN(value)) continue;
+    sum += value * w;
+    weight += w;
+  }
+
+  return weight > 0 ? sum / weight : null;
+}
+
+/* ===================== SRTM .HGT ===================== */
+
+/**
+ * Parse an SRTM .hgt tile
+ * The file name gives the south-west corner (e.g. N50E030.hgt)
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} filename - File name
+ * @returns {Object} DEM tile
+ */
+export function parseHGT(buffer, filename) {
+  const match = filename.match(/([NS])(\d{1,2})([EW])(\d{1,3})/i);
+  if (!match) {
+    throw new Error(`Cannot tell the tile position from "${filename}" (expected e.g. N50E030.hgt)`);
+  }
+
+  const size = Math.sqrt(buffer.byteLength / 2);
+  if (!Number.isInteger(size) || size < 2) {
+    throw new Error(`"${filename}" is not a square SRTM grid`);
+  }
+
+  const lat = Number(match[2]) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+  const lng = Number(match[4]) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+  // Big-endian signed 16-bit samples
+  const view = new DataView(buffer);
+  const data = new Int16Array(size * size);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = view.getInt16(i * 2, false);
+  }
+
+  // Grid registered: edge pixels sit on the degree lines
+  return {
+    name: filename,
+    width: size,
+    height: size,
+    lng0: lng,
+    lat0: lat + 1,
+    dx: 1 / (size - 1),
+    dy: 1 / (size - 1),
+    data,
+    noData: HGT_VOID
+  };
+}
+
+/* ===================== GEOTIFF ===================== */
+
+const TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  predictor: 317,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  pixelScale: 33550,
+  tiepoint: 33922,
+  transformation: 34264,
+  geoKeys: 34735,
+  noData: 42113
+};
+
+// Byte size of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// GeoKeys
+const GT_MODEL_TYPE = 1024;
+const GT_RASTER_TYPE = 1025;
+const MODEL_TYPE_PROJECTED = 1;
+const RASTER_PIXEL_IS_POINT = 2;
+
+/**
+ * Read the values of one IFD entry
+ * @private
+ */
+function readField(view, entry, little) {
+  const type = view.getUint16(entry + 2, little);
+  const count = view.getUint32(entry + 4, little);
+  const size = TYPE_SIZES[type];
+  if (!size) return [];
+
+  const offset = size * count <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+  const values = [];
+
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * size;
+    switch (type) {
+      case 1: case 2: case 7: values.push(view.getUint8(at)); break;
+      case 6: values.push(view.getInt8(at)); break;
+      case 3: values.push(view.getUint16(at, little)); break;
+      case 8: values.push(view.getInt16(at, little)); break;
+      case 4: values.push(view.getUint32(at, little)); break;
+      case 9: values.push(view.getInt32(at, little)); break;
+      case 5: values.push(view.getUint32(at, little) / view.getUint32(at + 4, little)); break;
+      case 10: values.push(view.getInt32(at, little) / view.getInt32(at + 4, little)); break;
+      case 11: values.push(view.getFloat32(at, little)); break;
+      case 12: values.push(view.getFloat64(at, little)); break;
+    }
+  }
+
+  // ASCII fields come back as a string without the trailing NUL
+  if (type === 2) {
+    return String.fromCharCode(...values).replace(/\0+$/, '');
+  }
+
+  return values;
+}
+
+/**
+ * Decode TIFF LZW (MSB-first codes, 9 to 12 bits, early change)
+ * Dictionary entries point into the output, since every entry was output once
+ * @private
+ */
+function decodeLZW(input, expectedSize) {
+  const CLEAR = 256;
+  const EOI = 257;
+
+  let out = new Uint8Array(Math.max(expectedSize, 1024));
+  let length = 0;
+
+  const ensure = extra => {
+    if (length + extra <= out.length) return;
+    const grown = new Uint8Array(Math.max(out.length * 2, length + extra));
+    grown.set(out);
+    out = grown;
+  };
+
+  // Entry n (n > 257) is output[starts[n] .. starts[n] + lengths[n])
+  const starts = new Int32Array(4096);
+  const lengths = new Int32Array(4096);
+
+  let bitPos = 0;
+  const read = bits => {
+    let code = 0;
+    for (let i = 0; i < bits; i++) {
+      const byte = input[(bitPos + i) >> 3];
+      if (byte === undefined) return EOI;
+      code = (code << 1) | ((byte >> (7 - ((bitPos + i) & 7))) & 1);
+    }
+    bitPos += bits;
+    return code;
+  };
+
+  let codeLength = 9;
+  let next = 258;
+  let prevStart = -1;
+  let prevLength = 0;
+
+  for (;;) {
+    const code = read(codeLength);
+    if (code === EOI) break;
+
+    if (code === CLEAR) {
+      codeLength = 9;
+      next = 258;
+      prevStart = -1;
+      continue;
+    }
+
+    const start = length;
+    let entryLength;
+
+    if (code < 256) {
+      ensure(1);
+      out[length++] = code;
+      entryLength = 1;
+    } else if (code < next) {
+      entryLength = lengths[code];
+      ensure(entryLength);
+      out.copyWithin(length, starts[code], starts[code] + entryLength);
+      length += entryLength;
+    } else if (prevStart >= 0) {
+      // Code not yet in the dictionary: previous string plus its first byte
+      entryLength = prevLength + 1;
+      ensure(entryLength);
+      out.copyWithin(length, prevStart, prevStart + prevLength);
+      out[length + prevLength] = out[prevStart];
+      length += entryLength;
+    } else {
+      throw new Error('Corrupt LZW data');
+    }
+
+    // New entry: previous string plus the first byte of this one
+    if (prevStart >= 0 && next < 4096) {
+      starts[next] = prevStart;
+      lengths[next] = prevLength + 1;
+      next++;
+      if (next >= (1 << codeLength) - 1 && codeLength < 12) codeLength++;
+    }
+
+    prevStart = start;
+    prevLength = entryLength;
+  }
+
+  return out.subarray(0, length);
+}
+
+/**
+ * Inflate zlib-wrapped Deflate data with the browser's DecompressionStream
+ * @private
+ */
+async function decodeDeflate(input) {
+  const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Decompress one strip or tile
+ * @private
+ */
+async function decompress(bytes, compression, expectedSize) {
+  switch (compression) {
+    case 1:
+      return bytes;
+    case 5:
+      return decodeLZW(bytes, expectedSize);
+    case 8:
+    case 32946:
+      return decodeDeflate(bytes);
+    default:
+      throw new Error(`Unsupported GeoTIFF compression (${compression})`);
+  }
+}
+
+/**
+ * Build a sample reader for the raster's data type
+ * @private
+ */
+function sampleReader(bits, format) {
+  const key = `${format}:${bits}`;
+  const readers = {
+    '1:8': (v, i) => v.getUint8(i),
+    '2:8': (v, i) => v.getInt8(i),
+    '1:16': (v, i, le) => v.getUint16(i, le),
+    '2:16': (v, i, le) => v.getInt16(i, le),
+    '1:32': (v, i, le) => v.getUint32(i, le),
+    '2:32': (v, i, le) => v.getInt32(i, le),
+    '3:32': (v, i, le) => v.getFloat32(i, le),
+    '3:64': (v, i, le) => v.getFloat64(i, le)
+  };
+
+  const reader = readers[key];
+  if (!reader) throw new Error(`Unsupported GeoTIFF sample type (format ${format}, ${bits} bits)`);
+  return reader;
+}
+
+/**
+ * Parse a single-band GeoTIFF in geographic (lat/lng) coordinates
+ * Supports strips and tiles, no/LZW/Deflate compression and horizontal prediction
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} filename - File name
+ * @returns {Promise<Object>} DEM tile
+ */
+export async function parseGeoTIFF(buffer, filename) {
+  const view = new DataView(buffer);
+  const order = view.getUint16(0, false);
+  if (order !== 0x4949 && order !== 0x4d4d) throw new Error(`"${filename}" is not a TIFF file`);
+
+  const little = order === 0x4949;
+  const magic = view.getUint16(2, little);
+  if (magic === 43) throw new Error('BigTIFF files are not supported');
+  if (magic !== 42) throw new Error(`"${filename}" is not a TIFF file`);
+
+  // First image only
+  const ifd = view.getUint32(4, little);
+  const fields = {};
+  const count = view.getUint16(ifd, little);
+
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    fields[view.getUint16(entry, little)] = readField(view, entry, little);
+  }
+
+  const get = (tag, fallback = null) => fields[tag]?.[0] ?? fallback;
+
+  const width = get(TAGS.width);
+  const height = get(TAGS.height);
+  const bits = get(TAGS.bitsPerSample, 8);
+  const format = get(TAGS.sampleFormat, 1);
+  const compression = get(TAGS.compression, 1);
+  const predictor = get(TAGS.predictor, 1);
+
+  if (get(TAGS.samplesPerPixel, 1) !== 1) throw new Error('Only single-band GeoTIFFs are supported');
+  if (predictor === 3) throw new Error('Floating-point prediction is not supported');
+
+  // Georeferencing
+  const geoKeys = fields[TAGS.geoKeys] || [];
+  const keys = {};
+  for (let i = 4; i + 3 < geoKeys.length; i += 4) {
+    if (geoKeys[i + 1] === 0) keys[geoKeys[i]] = geoKeys[i + 3];
+  }
+
+  if (keys[GT_MODEL_TYPE] === MODEL_TYPE_PROJECTED) {
+    throw new Error('Only geographic (lat/lng) GeoTIFFs are supported; reproject to EPSG:4326');
+  }
+
+  let originX;
+  let originY;
+  let dx;
+  let dy;
+
+  const scale = fields[TAGS.pixelScale];
+  const tie = fields[TAGS.tiepoint];
+  const matrix = fields[TAGS.transformation];
+
+  if (scale && tie) {
+    [dx, dy] = scale;
+    originX = tie[3] - tie[0] * dx;
+    originY = tie[4] + tie[1] * dy;
+  } else if (matrix?.length === 16 && matrix[1] === 0 && matrix[4] === 0) {
+    dx = matrix[0];
+    dy = -matrix[5];
+    originX = matrix[3];
+    originY = matrix[7];
+  } else {
+    throw new Error(`"${filename}" has no supported georeferencing`);
+  }
+
+  // Pixel-is-area rasters reference the pixel corner; move to its center
+  const half = keys[GT_RASTER_TYPE] === RASTER_PIXEL_IS_POINT ? 0 : 0.5;
+  const noDataText = fields[TAGS.noData];
+  const noData = typeof noDataText === 'string' && noDataText.trim() !== ''
+    ? Number(noDataText)
+    : null;
+
+  // Strips are tiles as wide as the image
+  const tiled = fields[TAGS.tileOffsets] !== undefined;
+  const chunkWidth = tiled ? get(TAGS.tileWidth) : width;
+  const chunkHeight = tiled ? get(TAGS.tileLength) : get(TAGS.rowsPerStrip, height);
+  const offsets = fields[tiled ? TAGS.tileOffsets : TAGS.stripOffsets] || [];
+  const byteCounts = fields[tiled ? TAGS.tileByteCounts : TAGS.stripByteCounts] || [];
+  const chunksAcross = Math.ceil(width / chunkWidth);
+
+  const bytesPerSample = bits / 8;
+  const read = sampleReader(bits, format);
+  const data = new Float32Array(width * height);
+
+  for (let c = 0; c < offsets.length; c++) {
+    const raw = new Uint8Array(buffer, offsets[c], byteCounts[c]);
+    const bytes = await decompress(raw, compression, chunkWidth * chunkHeight * bytesPerSample);
+    const chunk = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    const left = (c % chunksAcross) * chunkWidth;
+    const top = Math.floor(c / chunksAcross) * chunkHeight;
+
+    for (let y = 0; y < chunkHeight && top + y < height; y++) {
+      let previous = 0;
+
+      for (let x = 0; x < chunkWidth; x++) {
+        const at = (y * chunkWidth + x) * bytesPerSample;
+        if (at + bytesPerSample > bytes.byteLength) break;
+
+        let value = read(chunk, at, little);
+
+        // Horizontal differencing: each sample is stored relative to the previous one
+        if (predictor === 2) {
+          value = x === 0 ? value : previous + value;
+          if (format !== 3) value = wrapInteger(value, bits, format);
+          previous = value;
+        }
+
+        if (left + x < width) data[(top + y) * width + left + x] = value;
+      }
+    }
+  }
+
+  return {
+    name: filename,
+    width,
+    height,
+    lng0: originX + half * dx,
+    lat0: originY - half * dy,
+    dx,
+    dy,
+    data,
+    noData
+  };
+}
+
+/**
+ * Wrap an integer sum to the sample's bit width (predictor arithmetic is modular)
+ * @private
+ */
+function wrapInteger(value, bits, format) {
+  const range = 2 ** bits;
+  let wrapped = ((value % range) + range) % range;
+  if (format === 2 && wrapped >= range / 2) wrapped -= range;
+  return wrapped;
+}
+
+/**
+ * Parse a DEM file by extension
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} filename - File name (.hgt, .tif or .tiff)
+ * @returns {Promise<Object>} DEM tile
+ */
+export async function parseDEM(buffer, filename) {
+  if (/\.hgt$/i.test(filename)) return parseHGT(buffer, filename);
+  if (/\.tiff?$/i.test(filename)) return parseGeoTIFF(buffer, filename);
+  throw new Error(`Unsupported DEM file "${filename}" (use .hgt or .tif)`);
+}
+
+/* ===================== PROVIDER ===================== */
+
+/**
+ * Elevation provider backed by loaded DEM tiles
+ * Finer tiles are sampled first where tiles overlap
+ */
+export class DemProvider {
+  constructor() {
+    this.name = 'dem';
+    this.tiles = [];
+  }
+
+  /**
+   * Add a parsed tile
+   * @param {Object} tile - DEM tile
+   */
+  addTile(tile) {
+    this.tiles = this.tiles.filter(t => t.name !== tile.name);
+    this.tiles.push(tile);
+    this.tiles.sort((a, b) => a.dx * a.dy - b.dx * b.dy);
+  }
+
+  /**
+   * Remove all tiles
+   */
+  clear() {
+    this.tiles = [];
+  }
+
+  /**
+   * Elevation at one position from the first tile that covers it
+   * @param {number} lat
+   * @param {number} lng
+   * @returns {number|null} Meters, rounded to 0.1 m
+   */
+  sample(lat, lng) {
+    for (const tile of this.tiles) {
+      const value = sampleTile(tile, lat, lng);
+      if (value !== null) return Math.round(value * 10) / 10;
+    }
+    return null;
+  }
+
+  /**
+   * Look up many positions
+   * @param {Array<Object>} points - { lat, lng }
+   * @returns {Promise<Array<number|null>>}
+   */
+  async lookup(points) {
+    return points.map(p => this.sample(p.lat, p.lng));
+  }
+}
+
+// Export as namespace object as well
+export const DemUtils = {
+  sampleTile,
+  parseHGT,
+  parseGeoTIFF,
+  parseDEM,
+  DemProvider
+};
@@ -3,6 +3,10 @@
 // Canvas drawing utilities for points, lines, polygons, text
 // ============================================================================
 
+import { sectorCoordinates } from './geometry.js';
+import { formatCoordinate } from './coordinates.js';
+import { formatElevation } from './units.js';
+
 /**
  * Draw a point on canvas
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -38,14 +42,14 @@ export function drawPoint(ctx, map, point) {
 }
 
 /**
- * Draw a label for a point
+ * Draw a label for a point in the selected coordinate format and units
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {Object} map - Map instance
  * @param {Object} point - Point object { lat, lng, elev }
  */
 export function drawPointLabel(ctx, map, point) {
   const { x, y } = map.latLngToScreen(point);
-  const label = `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}${point.elev ? ` | ${point.elev} m` : ''}`;
+  const label = `${formatCoordinate(point)}${point.elev ? ` | ${formatElevation(point.elev)}` : ''}`;
 
   ctx.font = '12px monospace';
   ctx.fillStyle = '#000';
@@ -85,8 +89,9 @@ export function drawLine(ctx, map, points, style = {}) {
  * @param {Object} map - Map instance
  * @param {Array<Object>} points - Array of { lat, lng }
  * @param {Object} style - Style options { fillColor, strokeColor, alpha, width }
+ * @param {Array<Array<Object>>} holes - Interior rings, left unfilled
  */
-export function drawPolygon(ctx, map, points, style = {}) {
+export function drawPolygon(ctx, map, points, style = {}, holes = []) {
   if (points.length < 3) return;
 
   const fillColor = style.fillColor || 'green';
@@ -99,20 +104,26 @@ export function drawPolygon(ctx, map, points, style = {}) {
   ctx.lineWidth = lineWidth;
 
   ctx.beginPath();
-  const p0 = map.latLngToScreen(points[0]);
-  ctx.moveTo(p0.x, p0.y);
 
-  for (let i = 1; i < points.length; i++) {
-    const p = map.latLngToScreen(points[i]);
-    ctx.lineTo(p.x, p.y);
-  }
+  // Outer ring and holes form one path; even-odd filling leaves holes empty
+  for (const ring of [points, ...holes]) {
+    if (ring.length < 3) continue;
 
-  ctx.closePath();
+    const p0 = map.latLngToScreen(ring[0]);
+    ctx.moveTo(p0.x, p0.y);
+
+    for (let i = 1; i < ring.length; i++) {
+      const p = map.latLngToScreen(ring[i]);
+      ctx.lineTo(p.x, p.y);
+    }
+
+    ctx.closePath();
+  }
 
   // Fill with transparency
   ctx.save();
   ctx.globalAlpha = alpha;
-  ctx.fill();
+  ctx.fill('evenodd');
   ctx.restore();
 
   // Stroke with full opacity
@@ -153,11 +164,24 @@ export function drawText(ctx, map, textObj, draft = false) {
  * @returns {number} Distance in pixels
  */
 export function distToSegment(p, a, b) {
+  const { x, y } = closestOnSegment(p, a, b);
+  return Math.hypot(p.x - x, p.y - y);
+}
+
+/**
+ * Find the point of a line segment closest to a point
+ * Used for snapping to edges
+ * @param {Object} p - Point { x, y }
+ * @param {Object} a - Segment start { x, y }
+ * @param {Object} b - Segment end { x, y }
+ * @returns {Object} Closest point { x, y }
+ */
+export function closestOnSegment(p, a, b) {
   const dx = b.x - a.x;
   const dy = b.y - a.y;
 
   if (dx === 0 && dy === 0) {
-    return Math.hypot(p.x - a.x, p.y - a.y);
+    return { x: a.x, y: a.y };
   }
 
   const t =
@@ -166,10 +190,10 @@ export function distToSegment(p, a, b) {
 
   const clamped = Math.max(0, Math.min(1, t));
 
-  const x = a.x + clamped * dx;
-  const y = a.y + clamped * dy;
-
-  return Math.hypot(p.x - x, p.y - y);
+  return {
+    x: a.x + clamped * dx,
+    y: a.y + clamped * dy
+  };
 }
 
 /**
@@ -286,6 +310,77 @@ export function drawGrid(ctx, map, options = {}) {
   }
 }
 
+/**
+ * Draw a selection highlight around an item
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} map - Map instance
+ * @param {Object} item - Point, text, line, polygon or sector item
+ * @param {Object} style - Style options { color }
+ */
+export function drawHighlight(ctx, map, item, style = {}) {
+  const color = style.color || '#ff9800';
+
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 3;
+  ctx.setLineDash([6, 4]);
+
+  // Point or Text
+  if (item.lat !== undefined && !item.points) {
+    const { x, y } = map.latLngToScreen(item);
+    ctx.beginPath();
+    ctx.arc(x, y, 10, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+    return;
+  }
+
+  // Sector outline plus center
+  const vertices = item.center
+    ? sectorCoordinates(item).map(([lng, lat]) => ({ lat, lng }))
+    : item.points || [];
+
+  if (vertices.length > 1) {
+    ctx.beginPath();
+    const p0 = map.latLngToScreen(vertices[0]);
+    ctx.moveTo(p0.x, p0.y);
+
+    for (let i = 1; i < vertices.length; i++) {
+      const p = map.latLngToScreen(vertices[i]);
+      ctx.lineTo(p.x, p.y);
+    }
+
+    // Polygons carry a fill alpha and are drawn as closed rings
+    if (!item.center && item.alpha !== undefined) {
+      ctx.closePath();
+    }
+
+    ctx.stroke();
+  }
+
+  // Polygon holes
+  for (const hole of item.holes || []) {
+    ctx.beginPath();
+    hole.forEach((v, i) => {
+      const { x, y } = map.latLngToScreen(v);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+  }
+
+  // Vertex markers (sector: center only)
+  ctx.setLineDash([]);
+  for (const v of item.center ? [item.center] : vertices) {
+    const { x, y } = map.latLngToScreen(v);
+    ctx.fillRect(x - 3, y - 3, 6, 6);
+  }
+
+  ctx.restore();
+}
+
 // Export as namespace object as well
 export const DrawUtils = {
   drawPoint,
@@ -294,7 +389,9 @@ export const DrawUtils = {
   drawPolygon,
   drawText,
   distToSegment,
+  closestOnSegment,
   drawCircle,
   drawArrow,
-  drawGrid
+  drawGrid,
+  drawHighlight
 };
\ No newline at end of file
@@ -1,17 +1,90 @@
 // ============================================================================
 // utils/elevation.js
-// Elevation API integration with caching and debouncing
+// Elevation lookups through pluggable providers, with caching, batching and debouncing
 // ============================================================================
 
+import { DemProvider } from './dem.js';
+
 /* ===================== CACHE ===================== */
 
-const cache = new Map();
+// Least recently used entries are dropped beyond this size
+const CACHE_LIMIT = 5000;
+const CACHE_STORAGE_KEY = 'elevationCache';
+
+// Map order is recency order: oldest first
+const cache = loadCache();
+
+/**
+ * Restore the persisted cache
+ * @private
+ */
+function loadCache() {
+  try {
+    const entries = JSON.parse(localStorage.getItem(CACHE_STORAGE_KEY));
+    if (Array.isArray(entries)) return new Map(entries.slice(-CACHE_LIMIT));
+  } catch (error) {
+    console.warn('Elevation cache could not be restored:', error.message);
+  }
+
+  return new Map();
+}
 
 /**
- * Clear the elevation cache
+ * Persist the cache shortly after it changes
+ * @private
+ */
+const saveCache = debounce(() => {
+  try {
+    localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify([...cache]));
+  } catch (error) {
+    console.warn('Elevation cache could not be saved:', error.message);
+  }
+}, 1000);
+
+/**
+ * Read a cached value and mark it as recently used
+ * @private
+ * @returns {number|undefined}
+ */
+function cacheGet(key) {
+  if (!cache.has(key)) return undefined;
+
+  const elev = cache.get(key);
+  cache.delete(key);
+  cache.set(key, elev);
+  saveCache();
+  return elev;
+}
+
+/**
+ * Store a value, evicting the least recently used entries over the limit
+ * @private
+ */
+function cacheSet(key, elev) {
+  cache.delete(key);
+  cache.set(key, elev);
+
+  while (cache.size > CACHE_LIMIT) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  saveCache();
+}
+
+/**
+ * Cache key: provider and position (4 decimal places ~11m precision)
+ * @private
+ */
+function cacheKey(provider, point) {
+  return `${provider.name}:${point.lat.toFixed(4)},${point.lng.toFixed(4)}`;
+}
+
+/**
+ * Clear the elevation cache, including its stored copy
  */
 export function clearCache() {
   cache.clear();
+  saveCache();
 }
 
 /**
@@ -29,11 +102,12 @@ export function getCacheSize() {
 export function getCacheStats() {
   return {
     size: cache.size,
+    limit: CACHE_LIMIT,
     keys: Array.from(cache.keys())
   };
 }
 
-/* ===================== DEBOUNCE UTILITY ===================== */
+/* ===================== TIMING UTILITIES ===================== */
 
 /**
  * Debounce a function call
@@ -50,53 +124,181 @@ function debounce(fn, delay) {
   };
 }
 
-/* ===================== ELEVATION FETCHING ===================== */
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/* ===================== PROVIDERS ===================== */
 
 /**
- * Fetch elevation for a coordinate
- * Uses open-elevation.com API (free, no API key required)
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @returns {Promise<number|null>} Elevation in meters, or null if unavailable
+ * An elevation provider looks up many positions at once:
+ *   { name, cached, lookup(points) → Promise<Array<number|null>> }
+ * Providers are asked in order; positions one leaves null go to the next.
+ * Results of providers with `cached` set are kept in the elevation cache.
  */
-export async function getElevation(lat, lng) {
-  // Create cache key (4 decimal places ~11m precision)
-  const key = `${lat.toFixed(4)},${lng.toFixed(4)}`;
 
-  // Check cache first
-  if (cache.has(key)) {
-    return cache.get(key);
+/**
+ * HTTP provider for the open-elevation.com API (free, no API key required)
+ * Requests are split into batches, spaced out, and retried with backoff on errors
+ */
+export class OpenElevationProvider {
+  constructor(url = 'https://api.open-elevation.com/api/v1/lookup', options = {}) {
+    this.name = 'online';
+    this.cached = true;
+    this.url = url;
+
+    this.batchSize = options.batchSize ?? 100;     // Positions per request
+    this.minInterval = options.minInterval ?? 1000; // ms between requests
+    this.retries = options.retries ?? 3;
+    this.retryDelay = options.retryDelay ?? 1000;   // ms, doubled per retry
+
+    // Earliest time the next request may start
+    this._nextSlot = 0;
   }
 
-  try {
-    const res = await fetch(
-      `https://api.open-elevation.com/api/v1/lookup?locations=${lat},${lng}`
-    );
+  /**
+   * @param {Array<Object>} points - Array of { lat, lng }
+   * @returns {Promise<Array<number|null>>} Elevations in meters
+   */
+  async lookup(points) {
+    const results = [];
+
+    for (let i = 0; i < points.length; i += this.batchSize) {
+      results.push(...await this.request(points.slice(i, i + this.batchSize)));
+    }
 
-    if (!res.ok) {
-      console.warn(`Elevation API returned ${res.status}`);
-      return null;
+    return results;
+  }
+
+  /**
+   * One API request, retried on rate limiting, server and network errors
+   * @private
+   */
+  async request(points) {
+    const results = new Array(points.length).fill(null);
+
+    // Don't wait out retries when the browser knows it is offline
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return results;
     }
 
-    const data = await res.json();
+    const locations = points
+      .map(p => `${p.lat},${p.lng}`)
+      .join('|');
+
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle();
+      let retryAfter = null;
+
+      try {
+        const res = await fetch(`${this.url}?locations=${locations}`);
+
+        if (res.ok) {
+          const data = await res.json();
+          data.results?.forEach((result, i) => {
+            if (i < results.length) results[i] = Math.round(result.elevation);
+          });
+          return results;
+        }
+
+        console.warn(`Elevation API returned ${res.status}`);
 
-    if (data.results?.[0]) {
-      const elev = Math.round(data.results[0].elevation);
+        // Other client errors will not succeed on retry
+        if (res.status !== 429 && res.status < 500) return results;
 
-      // Cache the result
-      cache.set(key, elev);
+        retryAfter = Number(res.headers?.get('Retry-After')) * 1000 || null;
+      } catch (error) {
+        console.warn('Elevation fetch failed:', error.message);
+      }
 
-      return elev;
+      if (attempt >= this.retries) return results;
+      await wait(retryAfter ?? this.retryDelay * 2 ** attempt);
     }
-  } catch (error) {
-    console.warn('Elevation fetch failed:', error.message);
   }
 
-  return null;
+  /**
+   * Wait for the next request slot (at most one request per minInterval)
+   * @private
+   */
+  async throttle() {
+    const now = Date.now();
+    const slot = Math.max(now, this._nextSlot);
+    this._nextSlot = slot + this.minInterval;
+
+    if (slot > now) await wait(slot - now);
+  }
+}
+
+// Offline tiles first, then the network
+const demProvider = new DemProvider();
+const onlineProvider = new OpenElevationProvider();
+
+export const ELEVATION_SOURCES = {
+  auto: [demProvider, onlineProvider],
+  dem: [demProvider],
+  online: [onlineProvider]
+};
+
+let source = localStorage.getItem('elevationSource');
+if (!ELEVATION_SOURCES[source]) source = 'auto';
+
+let providers = ELEVATION_SOURCES[source];
+
+/**
+ * @returns {string} Elevation source id (auto, dem, online)
+ */
+export function getElevationSource() {
+  return source;
+}
+
+/**
+ * Select and persist which providers answer elevation lookups
+ * @param {string} newSource - Elevation source id
+ */
+export function setElevationSource(newSource) {
+  if (!ELEVATION_SOURCES[newSource]) {
+    console.warn(`elevation: Unknown elevation source "${newSource}"`);
+    return;
+  }
+
+  source = newSource;
+  providers = ELEVATION_SOURCES[source];
+  localStorage.setItem('elevationSource', source);
 }
 
 /**
- * Fetch elevation for multiple coordinates (batch request)
+ * Use a custom provider chain instead of a named source (not persisted)
+ * @param {Array<Object>} chain - Providers, asked in order
+ */
+export function setElevationProviders(chain) {
+  providers = chain;
+}
+
+/**
+ * @returns {Array<Object>} Current provider chain
+ */
+export function getElevationProviders() {
+  return providers;
+}
+
+/**
+ * @returns {DemProvider} Provider holding the loaded DEM tiles
+ */
+export function getDemProvider() {
+  return demProvider;
+}
+
+/* ===================== ELEVATION FETCHING ===================== */
+
+/**
+ * Look up elevation for multiple coordinates
+ * Each provider is asked in turn for the positions still unanswered,
+ * cached providers only for positions missing from the cache
  * @param {Array<Object>} points - Array of { lat, lng }
  * @returns {Promise<Array<number|null>>} Array of elevations
  */
@@ -105,82 +307,125 @@ export async function getElevationBatch(points) {
     return [];
   }
 
-  // Check which points are already cached
   const results = new Array(points.length).fill(null);
-  const toFetch = [];
-  const fetchIndices = [];
+  let pending = points.map((_, i) => i);
 
-  for (let i = 0; i < points.length; i++) {
-    const key = `${points[i].lat.toFixed(4)},${points[i].lng.toFixed(4)}`;
+  for (const provider of providers) {
+    if (pending.length === 0) break;
 
-    if (cache.has(key)) {
-      results[i] = cache.get(key);
-    } else {
-      toFetch.push(points[i]);
-      fetchIndices.push(i);
+    let toFetch = pending;
+
+    if (provider.cached) {
+      toFetch = pending.filter(i => {
+        const elev = cacheGet(cacheKey(provider, points[i]));
+        if (elev !== undefined) results[i] = elev;
+        return elev === undefined;
+      });
     }
-  }
 
-  // If everything was cached, return immediately
-  if (toFetch.length === 0) {
-    return results;
+    if (toFetch.length > 0) {
+      try {
+        const values = await provider.lookup(toFetch.map(i => points[i]));
+
+        toFetch.forEach((index, i) => {
+          const elev = values[i];
+          if (elev === null || elev === undefined) return;
+
+          results[index] = elev;
+          if (provider.cached) cacheSet(cacheKey(provider, points[index]), elev);
+        });
+      } catch (error) {
+        console.warn(`Elevation provider "${provider.name}" failed:`, error.message);
+      }
+    }
+
+    pending = pending.filter(i => results[i] === null);
   }
 
-  // Build batch request URL
-  const locations = toFetch
-    .map(p => `${p.lat},${p.lng}`)
-    .join('|');
+  return results;
+}
 
-  try {
-    const res = await fetch(
-      `https://api.open-elevation.com/api/v1/lookup?locations=${locations}`
-    );
+/* ===================== REQUEST QUEUE ===================== */
 
-    if (!res.ok) {
-      console.warn(`Elevation API returned ${res.status}`);
-      return results;
-    }
+// Single lookups arriving within this window go out as one batch
+const QUEUE_DELAY = 50;
 
-    const data = await res.json();
+// Waiting lookups: { lat, lng, resolve }
+const queue = [];
+let queueTimer = null;
 
-    if (data.results) {
-      data.results.forEach((result, i) => {
-        const elev = Math.round(result.elevation);
-        const originalIndex = fetchIndices[i];
-        const point = points[originalIndex];
-        const key = `${point.lat.toFixed(4)},${point.lng.toFixed(4)}`;
+/**
+ * Look up elevation for a coordinate
+ * Calls from all tools are coalesced into batched lookups
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Promise<number|null>} Elevation in meters, or null if unavailable
+ */
+export function getElevation(lat, lng) {
+  return new Promise(resolve => {
+    queue.push({ lat, lng, resolve });
 
-        // Cache and store result
-        cache.set(key, elev);
-        results[originalIndex] = elev;
-      });
+    if (!queueTimer) {
+      queueTimer = setTimeout(flushQueue, QUEUE_DELAY);
     }
-  } catch (error) {
-    console.warn('Batch elevation fetch failed:', error.message);
-  }
+  });
+}
 
-  return results;
+/**
+ * Send all queued lookups as one batch
+ * @private
+ */
+async function flushQueue() {
+  queueTimer = null;
+
+  const batch = queue.splice(0);
+  const elevations = await getElevationBatch(batch);
+
+  batch.forEach((request, i) => request.resolve(elevations[i]));
 }
 
 /* ===================== DEBOUNCED API ===================== */
 
+// Hover lookups: at most one in flight, only the newest waiting one is kept
+let hoverBusy = false;
+let hoverNext = null;
+
 /**
- * Debounced elevation fetcher (for mouse movement)
- * Waits 300ms after last call before fetching
- * @param {number} lat - Latitude
- * @param {number} lng - Longitude
- * @param {Function} callback - Called with elevation when ready
+ * Look up elevation for the cursor, dropping positions superseded while busy
+ * @private
  */
-export const getElevationDebounced = debounce(
-  async (lat, lng, callback) => {
+async function lookupLatest(lat, lng, callback) {
+  if (hoverBusy) {
+    hoverNext = [lat, lng, callback];
+    return;
+  }
+
+  hoverBusy = true;
+  try {
     const elev = await getElevation(lat, lng);
 
     if (elev !== null && typeof callback === 'function') {
       callback(elev);
     }
-  },
-  300
-);
+  } finally {
+    hoverBusy = false;
+  }
+
+  if (hoverNext) {
+    const next = hoverNext;
+    hoverNext = null;
+    lookupLatest(...next);
+  }
+}
+
+/**
+ * Debounced elevation fetcher (for mouse movement)
+ * Waits 300ms after last call before fetching
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {Function} callback - Called with elevation when ready
+ */
+export const getElevationDebounced = debounce(lookupLatest, 300);
 
 /* ===================== ELEVATION PROFILES ===================== */
 
@@ -223,7 +468,7 @@ export async function getElevationProfile(points, samples = null) {
 }
 
 /**
- * Interpolate points along a line
+ * Interpolate points evenly spaced by distance along a line
  * @param {Array<Object>} points - Original points
  * @param {number} count - Number of points to generate
  * @returns {Array<Object>} Interpolated points
@@ -233,29 +478,32 @@ function interpolatePoints(points, count) {
     return points;
   }
 
+  // Cumulative distance at each vertex
+  const offsets = [0];
+  for (let i = 1; i < points.length; i++) {
+    offsets.push(offsets[i - 1] + haversineDistance(points[i - 1], points[i]));
+  }
+
+  const totalLength = offsets[offsets.length - 1];
   const result = [points[0]];
-  const segmentCount = count - 1;
-
-  for (let i = 1; i <= segmentCount; i++) {
-    const t = i / segmentCount;
-    const totalLength = points.length - 1;
-    const segment = t * totalLength;
-    const index = Math.floor(segment);
-    const fraction = segment - index;
-
-    if (index >= points.length - 1) {
-      result.push(points[points.length - 1]);
-    } else {
-      const a = points[index];
-      const b = points[index + 1];
-
-      result.push({
-        lat: a.lat + (b.lat - a.lat) * fraction,
-        lng: a.lng + (b.lng - a.lng) * fraction
-      });
-    }
+  let index = 0;
+
+  for (let i = 1; i < count - 1; i++) {
+    const target = (i / (count - 1)) * totalLength;
+    while (index < points.length - 2 && offsets[index + 1] < target) index++;
+
+    const a = points[index];
+    const b = points[index + 1];
+    const length = offsets[index + 1] - offsets[index];
+    const fraction = length > 0 ? (target - offsets[index]) / length : 0;
+
+    result.push({
+      lat: a.lat + (b.lat - a.lat) * fraction,
+      lng: a.lng + (b.lng - a.lng) * fraction
+    });
   }
 
+  result.push(points[points.length - 1]);
   return result;
 }
 
@@ -3,6 +3,11 @@
 // Geographic calculations (Haversine distance, bearing, projection, etc.)
 // ============================================================================
 
+import { formatDistance, formatArea } from './units.js';
+
+// Display formatting follows the selected unit system (see units.js)
+export { formatDistance, formatArea };
+
 // Earth radius in meters
 const EARTH_RADIUS = 6378137;
 
@@ -103,12 +108,19 @@ export function sectorCoordinates(sector) {
 
 /**
  * Calculate area of a polygon using Shoelace formula
+ * The area of interior rings (holes) is subtracted
  * @param {Array<Object>} points - Array of { lat, lng }
+ * @param {Array<Array<Object>>} holes - Interior rings
  * @returns {number} Area in square meters
  */
-export function polygonArea(points) {
+export function polygonArea(points, holes = []) {
   if (points.length < 3) return 0;
 
+  if (holes.length > 0) {
+    const holeArea = holes.reduce((sum, hole) => sum + polygonArea(hole), 0);
+    return Math.max(0, polygonArea(points) - holeArea);
+  }
+
   let area = 0;
 
   for (let i = 0; i < points.length; i++) {
@@ -216,36 +228,6 @@ export function pointInPolygon(point, polygon) {
   return inside;
 }
 
-/**
- * Format distance for display
- * @param {number} meters - Distance in meters
- * @param {number} decimals - Decimal places
- * @returns {string} Formatted string with units
- */
-export function formatDistance(meters, decimals = 2) {
-  if (meters < 1000) {
-    return `${meters.toFixed(decimals)} m`;
-  } else {
-    return `${(meters / 1000).toFixed(decimals)} km`;
-  }
-}
-
-/**
- * Format area for display
- * @param {number} sqMeters - Area in square meters
- * @param {number} decimals - Decimal places
- * @returns {string} Formatted string with units
- */
-export function formatArea(sqMeters, decimals = 2) {
-  if (sqMeters < 10000) {
-    return `${sqMeters.toFixed(decimals)} m²`;
-  } else if (sqMeters < 1000000) {
-    return `${(sqMeters / 10000).toFixed(decimals)} ha`;
-  } else {
-    return `${(sqMeters / 1000000).toFixed(decimals)} km²`;
-  }
-}
-
 /**
  * Normalize longitude to -180 to 180
  * @param {number} lng - Longitude
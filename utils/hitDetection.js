@@ -4,11 +4,15 @@
 // ============================================================================
 
 import { DrawUtils } from './drawing.js';
+import { sectorCoordinates } from './geometry.js';
 
 export class HitDetector {
   constructor(map, tolerance = 8) {
     this.map = map;
     this.tolerance = tolerance;
+
+    // Items rejected by this filter can never be hit (e.g. hidden layers)
+    this.filter = null;
   }
 
   /**
@@ -16,15 +20,18 @@ export class HitDetector {
    * Returns the first item found
    * @param {Object} latlng - { lat, lng }
    * @param {Array} tools - Array of tool instances
+   * @param {Function} filter - Optional extra item filter
    * @returns {Object|null} The item that was hit, or null
    */
-  pick(latlng, tools) {
+  pick(latlng, tools, filter = null) {
     const mousePx = this.map.latLngToScreen(latlng);
 
     for (const tool of tools) {
       const items = this.extractItems(tool);
 
       for (const item of items) {
+        if (!this.canHit(item, filter)) continue;
+
         if (this.hitTest(item, mousePx)) {
           return item;
         }
@@ -38,9 +45,10 @@ export class HitDetector {
    * Pick an item for deletion (returns tool array and index)
    * @param {Object} latlng - { lat, lng }
    * @param {Array} tools - Array of tool instances
+   * @param {Function} filter - Optional extra item filter
    * @returns {Object|null} { tool: Array, index: number } or null
    */
-  pickForDelete(latlng, tools) {
+  pickForDelete(latlng, tools, filter = null) {
     const mousePx = this.map.latLngToScreen(latlng);
 
     for (const tool of tools) {
@@ -48,6 +56,8 @@ export class HitDetector {
       if (!list) continue;
 
       for (let i = 0; i < list.length; i++) {
+        if (!this.canHit(list[i], filter)) continue;
+
         if (this.hitTest(list[i], mousePx)) {
           return { tool: list, index: i };
         }
@@ -94,14 +104,21 @@ export class HitDetector {
   }
 
   /**
-   * Test if a sector was hit (tests center point)
+   * Test if a sector was hit (tests center point and outline)
    * @param {Object} sector - { center: { lat, lng }, ... }
    * @param {Object} mousePx - { x, y }
    * @returns {boolean}
    */
   hitTestSector(sector, mousePx) {
     const centerPx = this.map.latLngToScreen(sector.center);
-    return this.distancePx(mousePx, centerPx) < this.tolerance;
+    if (this.distancePx(mousePx, centerPx) < this.tolerance) {
+      return true;
+    }
+
+    if (!(sector.radius > 0)) return false;
+
+    const outline = sectorCoordinates(sector).map(([lng, lat]) => ({ lat, lng }));
+    return this.hitTestPolyline({ points: outline }, mousePx);
   }
 
   /**
@@ -124,6 +141,18 @@ export class HitDetector {
       }
     }
 
+    // Polygon holes are closed rings
+    for (const hole of item.holes || []) {
+      for (let i = 0; i < hole.length; i++) {
+        const a = this.map.latLngToScreen(hole[i]);
+        const b = this.map.latLngToScreen(hole[(i + 1) % hole.length]);
+
+        if (DrawUtils.distToSegment(mousePx, a, b) < this.tolerance) {
+          return true;
+        }
+      }
+    }
+
     return false;
   }
 
@@ -173,6 +202,22 @@ export class HitDetector {
     );
   }
 
+  /**
+   * Set a filter applied to every pick
+   * @param {Function|null} filter - (item) => boolean
+   */
+  setFilter(filter) {
+    this.filter = filter;
+  }
+
+  /**
+   * Check an item against the global and a per-call filter
+   * @private
+   */
+  canHit(item, filter = null) {
+    return (!this.filter || this.filter(item)) && (!filter || filter(item));
+  }
+
   /**
    * Set hit detection tolerance
    * @param {number} tolerance - Tolerance in pixels
@@ -203,6 +248,8 @@ export class HitDetector {
       const items = this.extractItems(tool);
 
       for (const item of items) {
+        if (!this.canHit(item)) continue;
+
         if (this.hitTest(item, mousePx)) {
           hits.push({
             item,
@@ -229,6 +276,8 @@ export class HitDetector {
       const items = this.extractItems(tool);
 
       for (const item of items) {
+        if (!this.canHit(item)) continue;
+
         if (this.isInBounds(item, bounds)) {
           hits.push({
             item,
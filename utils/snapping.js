@@ -0,0 +1,183 @@
+// ============================================================================
+// utils/snapping.js
+// Snap drawing positions to nearby vertices, edges, sector centers and points
+// ============================================================================
+
+import { DrawUtils } from './drawing.js';
+
+// Vertex-like targets win over edges when both are in range
+const RANK = {
+  vertex: 0,
+  point: 0,
+  center: 0,
+  edge: 1
+};
+
+export class Snapper {
+  constructor(map, hitDetector) {
+    this.map = map;
+    this.hitDetector = hitDetector;
+
+    this.enabled = true;
+
+    // Target kinds to snap to
+    this.targets = {
+      vertices: true, // Line/polygon vertices and point features
+      edges: true, // Nearest point on line/polygon segments
+      centers: true // Sector centers
+    };
+
+    // Last snap result, drawn as the indicator: { latlng, kind }
+    this.current = null;
+  }
+
+  /**
+   * Enable or disable snapping
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.current = null;
+  }
+
+  /**
+   * Choose which target kinds to snap to
+   * @param {Object} targets - { vertices, edges, centers }
+   */
+  setTargets(targets) {
+    Object.assign(this.targets, targets);
+  }
+
+  /**
+   * Snap a position to the nearest target within the hit tolerance
+   * @param {Object} latlng - { lat, lng }
+   * @param {Array} tools - Tools whose items are snap targets
+   * @returns {Object} Snapped { lat, lng }, or the input if nothing is in range
+   */
+  snap(latlng, tools) {
+    this.current = this.enabled ? this.findTarget(latlng, tools) : null;
+    if (!this.current) return latlng;
+
+    const { lat, lng } = this.current.latlng;
+    return { lat, lng };
+  }
+
+  /**
+   * Forget the last snap (hides the indicator)
+   */
+  clear() {
+    this.current = null;
+  }
+
+  /**
+   * Find the best snap target near a position
+   * @param {Object} latlng - { lat, lng }
+   * @param {Array} tools - Tools whose items are snap targets
+   * @returns {Object|null} { latlng, kind }
+   */
+  findTarget(latlng, tools) {
+    const mousePx = this.map.latLngToScreen(latlng);
+    const tolerance = this.hitDetector.getTolerance();
+    let best = null;
+
+    for (const tool of tools) {
+      for (const item of this.hitDetector.extractItems(tool)) {
+        if (!this.hitDetector.canHit(item)) continue;
+
+        for (const candidate of this.candidates(item, mousePx, Boolean(tool.polygons))) {
+          const dist = this.hitDetector.distancePx(mousePx, candidate.px);
+          if (dist >= tolerance) continue;
+
+          const rank = RANK[candidate.kind];
+          if (!best || rank < best.rank || (rank === best.rank && dist < best.dist)) {
+            best = { ...candidate, rank, dist };
+          }
+        }
+      }
+    }
+
+    return best && {
+      latlng: best.latlng ?? this.map.screenToLatLng(best.px),
+      kind: best.kind
+    };
+  }
+
+  /**
+   * Snap candidates of one item
+   * @private
+   * @param {Object} item - Geometry item
+   * @param {Object} mousePx - { x, y }
+   * @param {boolean} closedOutline - True if the item's outline is a closed ring
+   * @returns {Array<Object>} { kind, px, latlng? }
+   */
+  candidates(item, mousePx, closedOutline) {
+    const { vertices, edges, centers } = this.targets;
+    const result = [];
+    const at = (kind, p) => ({ kind, px: this.map.latLngToScreen(p), latlng: p });
+
+    // Point features (points and text anchors)
+    if (item.lat !== undefined && !item.points) {
+      if (vertices) result.push(at('point', item));
+      return result;
+    }
+
+    if (item.center) {
+      if (centers) result.push(at('center', item.center));
+      return result;
+    }
+
+    if (!item.points) return result;
+
+    // Polygon holes are always closed
+    const rings = [
+      { points: item.points, closed: closedOutline },
+      ...(item.holes || []).map(points => ({ points, closed: true }))
+    ];
+
+    for (const { points, closed } of rings) {
+      if (vertices) {
+        for (const p of points) result.push(at('vertex', p));
+      }
+
+      if (edges) {
+        const segments = closed ? points.length : points.length - 1;
+        for (let i = 0; i < segments; i++) {
+          const a = this.map.latLngToScreen(points[i]);
+          const b = this.map.latLngToScreen(points[(i + 1) % points.length]);
+          result.push({ kind: 'edge', px: DrawUtils.closestOnSegment(mousePx, a, b) });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Draw the snap indicator
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  draw(ctx) {
+    if (!this.current) return;
+
+    const { x, y } = this.map.latLngToScreen(this.current.latlng);
+
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#e91e63';
+    ctx.beginPath();
+
+    if (this.current.kind === 'edge') {
+      // Cross for a point on a segment
+      ctx.moveTo(x - 6, y - 6);
+      ctx.lineTo(x + 6, y + 6);
+      ctx.moveTo(x + 6, y - 6);
+      ctx.lineTo(x - 6, y + 6);
+    } else {
+      // Square for vertices, points and centers
+      ctx.rect(x - 6, y - 6, 12, 12);
+    }
+
+    ctx.stroke();
+    ctx.restore();
+  }
+}
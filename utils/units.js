@@ -0,0 +1,199 @@
+// ============================================================================
+// utils/units.js
+// Measurement unit systems for distance, elevation and area labels and exports
+// ============================================================================
+
+const FOOT = 0.3048;
+const MILE = 1609.344;
+const NAUTICAL_MILE = 1852;
+const ACRE = 4046.8564224;
+
+// Distance scales: the first unit is used until the next one's threshold (meters)
+export const UNIT_SYSTEMS = {
+  metric: {
+    label: 'Metric',
+    distance: [
+      { unit: 'm', meters: 1 },
+      { unit: 'km', meters: 1000, from: 1000 }
+    ],
+    elevation: { unit: 'm', meters: 1 },
+    exportDistance: 'm',
+    defaultArea: 'ha'
+  },
+  imperial: {
+    label: 'Imperial',
+    distance: [
+      { unit: 'ft', meters: FOOT },
+      { unit: 'mi', meters: MILE, from: MILE }
+    ],
+    elevation: { unit: 'ft', meters: FOOT },
+    exportDistance: 'ft',
+    defaultArea: 'ac'
+  },
+  nautical: {
+    label: 'Nautical',
+    distance: [
+      { unit: 'ft', meters: FOOT },
+      { unit: 'NM', meters: NAUTICAL_MILE, from: NAUTICAL_MILE / 10 }
+    ],
+    elevation: { unit: 'ft', meters: FOOT },
+    exportDistance: 'NM',
+    defaultArea: 'ac'
+  }
+};
+
+// Area scales, chosen independently of the distance system
+export const AREA_UNITS = {
+  ha: {
+    label: 'Hectares',
+    area: [
+      { unit: 'm²', sqMeters: 1 },
+      { unit: 'ha', sqMeters: 10000, from: 10000 },
+      { unit: 'km²', sqMeters: 1e6, from: 1e6 }
+    ],
+    exportArea: 'm²'
+  },
+  ac: {
+    label: 'Acres',
+    area: [
+      { unit: 'ft²', sqMeters: FOOT * FOOT },
+      { unit: 'ac', sqMeters: ACRE, from: ACRE },
+      { unit: 'mi²', sqMeters: MILE * MILE, from: MILE * MILE }
+    ],
+    exportArea: 'ac'
+  }
+};
+
+// Conversion factors of every unit, for exports
+const DISTANCE_FACTORS = { m: 1, km: 1000, ft: FOOT, mi: MILE, NM: NAUTICAL_MILE };
+const AREA_FACTORS = { 'm²': 1, ha: 10000, 'km²': 1e6, 'ft²': FOOT * FOOT, ac: ACRE, 'mi²': MILE * MILE };
+
+/* ===================== STATE ===================== */
+
+let system = localStorage.getItem('unitSystem');
+if (!UNIT_SYSTEMS[system]) system = 'metric';
+
+let areaUnit = localStorage.getItem('areaUnit');
+if (!AREA_UNITS[areaUnit]) areaUnit = UNIT_SYSTEMS[system].defaultArea;
+
+/**
+ * @returns {string} Unit system id (metric, imperial, nautical)
+ */
+export function getUnitSystem() {
+  return system;
+}
+
+/**
+ * Select and persist the unit system
+ * @param {string} newSystem - Unit system id
+ */
+export function setUnitSystem(newSystem) {
+  if (!UNIT_SYSTEMS[newSystem]) {
+    console.warn(`units: Unknown unit system "${newSystem}"`);
+    return;
+  }
+
+  system = newSystem;
+  localStorage.setItem('unitSystem', system);
+}
+
+/**
+ * @returns {string} Area unit id (ha, ac)
+ */
+export function getAreaUnit() {
+  return areaUnit;
+}
+
+/**
+ * Select and persist the area unit
+ * @param {string} newUnit - Area unit id
+ */
+export function setAreaUnit(newUnit) {
+  if (!AREA_UNITS[newUnit]) {
+    console.warn(`units: Unknown area unit "${newUnit}"`);
+    return;
+  }
+
+  areaUnit = newUnit;
+  localStorage.setItem('areaUnit', areaUnit);
+}
+
+/* ===================== FORMATTING ===================== */
+
+/**
+ * Pick the largest scale whose threshold the value reaches
+ * @private
+ */
+function pickScale(scales, value) {
+  return scales.reduce((best, scale) => (value >= (scale.from ?? 0) ? scale : best));
+}
+
+/**
+ * Format distance for display in the selected unit system
+ * @param {number} meters - Distance in meters
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted string with units
+ */
+export function formatDistance(meters, decimals = 2) {
+  const scale = pickScale(UNIT_SYSTEMS[system].distance, Math.abs(meters));
+  return `${(meters / scale.meters).toFixed(decimals)} ${scale.unit}`;
+}
+
+/**
+ * Format area for display in the selected area unit
+ * @param {number} sqMeters - Area in square meters
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted string with units
+ */
+export function formatArea(sqMeters, decimals = 2) {
+  const scale = pickScale(AREA_UNITS[areaUnit].area, Math.abs(sqMeters));
+  return `${(sqMeters / scale.sqMeters).toFixed(decimals)} ${scale.unit}`;
+}
+
+/**
+ * Format an elevation for display in the selected unit system
+ * @param {number} meters - Elevation in meters
+ * @param {number} decimals - Decimal places
+ * @returns {string} Formatted string with units
+ */
+export function formatElevation(meters, decimals = 0) {
+  const { unit, meters: factor } = UNIT_SYSTEMS[system].elevation;
+  return `${(meters / factor).toFixed(decimals)} ${unit}`;
+}
+
+/* ===================== EXPORT ===================== */
+
+/**
+ * Distance in the selected system's export unit
+ * @param {number} meters
+ * @returns {Object} { value, unit }
+ */
+export function exportDistance(meters) {
+  const unit = UNIT_SYSTEMS[system].exportDistance;
+  return { value: meters / DISTANCE_FACTORS[unit], unit };
+}
+
+/**
+ * Area in the selected area unit's export unit
+ * @param {number} sqMeters
+ * @returns {Object} { value, unit }
+ */
+export function exportArea(sqMeters) {
+  const unit = AREA_UNITS[areaUnit].exportArea;
+  return { value: sqMeters / AREA_FACTORS[unit], unit };
+}
+
+// Export as namespace object as well
+export const Units = {
+  UNIT_SYSTEMS,
+  AREA_UNITS,
+  getUnitSystem,
+  setUnitSystem,
+  getAreaUnit,
+  setAreaUnit,
+  formatDistance,
+  formatArea,
+  formatElevation,
+  exportDistance,
+  exportArea
+};
@@ -0,0 +1,220 @@
+// ============================================================================
+// utils/visibility.js
+// Terrain visibility analysis over elevation profiles
+// ============================================================================
+
+import { project } from './geometry.js';
+import { getElevationBatch } from './elevation.js';
+
+// Earth radius enlarged by standard atmospheric refraction (k = 0.25)
+const EFFECTIVE_EARTH_RADIUS = 6378137 * 4 / 3;
+
+/**
+ * How far the ground falls below a level line over a distance
+ * (earth curvature less refraction)
+ * @param {number} distance - Meters from the observer
+ * @returns {number} Drop in meters
+ */
+export function curvatureDrop(distance) {
+  return (distance * distance) / (2 * EFFECTIVE_EARTH_RADIUS);
+}
+
+/**
+ * Line of sight from the first to the last sample of a profile
+ * A sample is visible when no nearer sample rises above the ray to it.
+ * The obstruction is the nearer ridge that rises most steeply from the observer.
+ * @param {Array<Object>} profile - From getElevationProfile: { lat, lng, elev, distance }
+ * @param {number} observerHeight - Eye height above ground at the first sample (m)
+ * @param {number} targetHeight - Target height above ground at the last sample (m)
+ * @returns {Object|null} {
+ *   samples: [{ lat, lng, elev, distance, effective, visible }],
+ *   distance, eye, targetTop, visible,
+ *   obstruction: { lat, lng, elev, distance, index, height } | null,
+ *   clearance
+ * } or null without observer or target elevation
+ */
+export function analyzeLineOfSight(profile, observerHeight = 0, targetHeight = 0) {
+  if (!profile || profile.length < 2) return null;
+
+  const first = profile[0];
+  const last = profile[profile.length - 1];
+  if (first.elev === null || last.elev === null) return null;
+
+  const distance = last.distance;
+  const eye = first.elev + observerHeight;
+  const targetTop = last.elev - curvatureDrop(distance) + targetHeight;
+
+  // Height of the sight line, in the same curvature-corrected frame as the terrain
+  const lineAt = d => (distance > 0 ? eye + (targetTop - eye) * (d / distance) : eye);
+
+  let maxSlope = -Infinity;
+  let ridge = null;
+  let clearance = Infinity;
+
+  const samples = profile.map((p, i) => {
+    if (i === 0) return { ...p, effective: p.elev, visible: true };
+    if (p.elev === null || p.distance <= 0) return { ...p, effective: null, visible: null };
+
+    const effective = p.elev - curvatureDrop(p.distance);
+    const slope = (effective - eye) / p.distance;
+    const visible = slope >= maxSlope;
+
+    // The target itself cannot obstruct
+    if (i < profile.length - 1) {
+      if (slope > maxSlope) {
+        maxSlope = slope;
+        ridge = { ...p, index: i };
+      }
+      clearance = Math.min(clearance, lineAt(p.distance) - effective);
+    }
+
+    return { ...p, effective, visible };
+  });
+
+  const targetSlope = distance > 0 ? (targetTop - eye) / distance : Infinity;
+  const visible = targetSlope >= maxSlope;
+
+  const obstruction = visible || !ridge
+    ? null
+    : { ...ridge, height: samples[ridge.index].effective - lineAt(ridge.distance) };
+
+  return {
+    samples,
+    distance,
+    eye,
+    targetTop,
+    visible,
+    obstruction,
+    clearance: Number.isFinite(clearance) ? clearance : null
+  };
+}
+
+/* ===================== VIEWSHED ===================== */
+
+// Viewshed resolution: one ray per this many degrees, cells per ray
+const VIEWSHED_RAY_STEP = 2;
+const VIEWSHED_MAX_RAYS = 180;
+const VIEWSHED_CELLS = 40;
+
+// Most terrain samples per sector, well under the elevation cache size
+// so that one viewshed cannot evict the others
+const VIEWSHED_MAX_SAMPLES = 2000;
+
+/**
+ * Terrain of a sector on a polar grid of rays and rings
+ * Rays and cells shrink evenly when the grid would exceed VIEWSHED_MAX_SAMPLES.
+ * @param {Object} sector - { center, radius, bearing, angle }
+ * @param {Object} options - { rays, cells } to override the resolution
+ * @returns {Promise<Object|null>} {
+ *   center: { lat, lng, elev },
+ *   rays: [{ from, to, cells: [{ near, far, distance, lat, lng, elev }] }]
+ * } with ray bearings in degrees and cell distances in meters,
+ *   or null without elevation at the center
+ */
+export async function sampleViewshedTerrain(sector, options = {}) {
+  const { center, radius, bearing, angle } = sector;
+  if (!(radius > 0) || !(angle > 0)) return null;
+
+  let rayCount = options.rays ??
+    Math.min(VIEWSHED_MAX_RAYS, Math.max(4, Math.ceil(angle / VIEWSHED_RAY_STEP)));
+  let cellCount = options.cells ?? VIEWSHED_CELLS;
+
+  if (rayCount * cellCount > VIEWSHED_MAX_SAMPLES) {
+    const scale = Math.sqrt(VIEWSHED_MAX_SAMPLES / (rayCount * cellCount));
+    rayCount = Math.max(4, Math.floor(rayCount * scale));
+    cellCount = Math.max(1, Math.floor(VIEWSHED_MAX_SAMPLES / rayCount));
+  }
+
+  const rayWidth = angle / rayCount;
+  const cellDepth = radius / cellCount;
+
+  // Sample at the middle of each cell
+  const rays = [];
+  for (let i = 0; i < rayCount; i++) {
+    const from = bearing - angle / 2 + i * rayWidth;
+    const mid = from + rayWidth / 2;
+    const cells = [];
+
+    for (let j = 0; j < cellCount; j++) {
+      const distance = (j + 0.5) * cellDepth;
+      cells.push({ near: j * cellDepth, far: (j + 1) * cellDepth, distance, ...project(center, distance, mid) });
+    }
+
+    rays.push({ from, to: from + rayWidth, cells });
+  }
+
+  // The center is looked up with the cells: a stored sector.elev may predate a move
+  const cells = rays.flatMap(ray => ray.cells);
+  const [centerElev, ...elevations] = await getElevationBatch([center, ...cells]);
+  if (centerElev === null || centerElev === undefined) return null;
+
+  cells.forEach((cell, i) => { cell.elev = elevations[i]; });
+
+  return {
+    center: { lat: center.lat, lng: center.lng, elev: centerElev },
+    rays
+  };
+}
+
+/**
+ * Visibility of sampled sector terrain from an observer above its center
+ * Each ray is analysed like a line of sight from the center.
+ * @param {Object} terrain - From sampleViewshedTerrain
+ * @param {number} observerHeight - Eye height above the center's ground (m)
+ * @returns {Object} {
+ *   rays: [{ from, to, cells: [{ near, far, distance, lat, lng, visible }] }],
+ *   visibleFraction
+ * }
+ */
+export function analyzeViewshed(terrain, observerHeight = 0) {
+  let known = 0;
+  let visibleCount = 0;
+
+  const rays = terrain.rays.map(ray => {
+    const profile = [
+      { ...terrain.center, distance: 0 },
+      ...ray.cells
+    ];
+
+    // Unknown cells at the far end leave the ray without a target
+    let end = profile.length;
+    while (end > 1 && profile[end - 1].elev === null) end--;
+    const result = end > 1 ? analyzeLineOfSight(profile.slice(0, end), observerHeight, 0) : null;
+
+    const cells = ray.cells.map(({ near, far, distance, lat, lng }, j) => {
+      const visible = result?.samples[j + 1]?.visible ?? null;
+      if (visible !== null) known++;
+      if (visible) visibleCount++;
+      return { near, far, distance, lat, lng, visible };
+    });
+
+    return { from: ray.from, to: ray.to, cells };
+  });
+
+  return {
+    rays,
+    visibleFraction: known > 0 ? visibleCount / known : null
+  };
+}
+
+/**
+ * Ground visibility across a sector (sampleViewshedTerrain then analyzeViewshed)
+ * @param {Object} sector - { center, radius, bearing, angle }
+ * @param {number} observerHeight - Eye height above the center's ground (m)
+ * @param {Object} options - { rays, cells } to override the resolution
+ * @returns {Promise<Object|null>} Result of analyzeViewshed,
+ *   or null without elevation at the center
+ */
+export async function computeViewshed(sector, observerHeight = 0, options = {}) {
+  const terrain = await sampleViewshedTerrain(sector, options);
+  return terrain ? analyzeViewshed(terrain, observerHeight) : null;
+}
+
+// Export as namespace object as well
+export const Visibility = {
+  curvatureDrop,
+  analyzeLineOfSight,
+  sampleViewshedTerrain,
+  analyzeViewshed,
+  computeViewshed
+};